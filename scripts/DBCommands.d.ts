@@ -0,0 +1,126 @@
+/**
+ * Admin slash commands for inspecting and managing the databases in game
+ * @module DatabaseCommands
+ * @description Importing this module registers the commands below when the world starts up.
+ * Every command is answered in chat on the next tick, because commands run in read-only mode.
+ * - /db:tables
+ * - /db:keys <table | items> <table> [page]
+ * - /db:view <table | items> <table> <key>
+ * - /db:give <table> <key>
+ * - /db:delete <table | items> <table> <key>
+ * - /db:clear <table | items> <table>
+ * `table` is a BDatabase table and `items` a SRCItemDatabase table.
+ */
+import {
+    CommandPermissionLevel,
+    CustomCommandOrigin,
+    CustomCommandParameter,
+    CustomCommandRegistry,
+    CustomCommandResult,
+    ItemStack
+} from "@minecraft/server";
+import BDatabase from "./Database";
+import SRCItemDatabase from "./ItemDatabase";
+
+export type DatabaseCommandName = 'tables' | 'keys' | 'view' | 'give' | 'delete' | 'clear';
+/**
+ * The kind of table a command works on
+ */
+export type DatabaseKind = 'table' | 'items';
+/**
+ * A command registered by DatabaseCommands.register
+ */
+export interface DatabaseCommand {
+    description: string;
+    mandatoryParameters?: CustomCommandParameter[];
+    optionalParameters?: CustomCommandParameter[];
+    /**
+     * Runs the command, returning the message sent back to the source
+     */
+    run(origin: CustomCommandOrigin, ...args: any[]): string | Promise<string>;
+}
+
+declare class DatabaseCommands {
+    /**
+     * The values of the db:kind enum
+     */
+    static kinds: DatabaseKind[];
+    /**
+     * The number of keys shown by each page of /db:keys
+     */
+    static pageSize: number;
+    /**
+     * The longest value shown by /db:view, longer values are cut
+     */
+    static maxLength: number;
+    /**
+     * The permission level needed to run each command
+     * @example DatabaseCommands.permissions.clear = CommandPermissionLevel.Host;
+     * @remarks It must be changed before the world starts up, at the top level of a script
+     */
+    static permissions: Record<DatabaseCommandName, CommandPermissionLevel>;
+    static commands: Record<DatabaseCommandName, DatabaseCommand>;
+    /**
+     * This method is used to register the commands
+     * @param {CustomCommandRegistry} registry The registry given by system.beforeEvents.startup
+     * @remarks Is called internally when the world starts up
+     */
+    static register(registry: CustomCommandRegistry): void;
+    /**
+     * This method is used to run a command on the next tick and send its answer to the source
+     * @returns {CustomCommandResult}
+     */
+    static execute(origin: CustomCommandOrigin, run: DatabaseCommand['run'], args: any[]): CustomCommandResult;
+    /**
+     * This method is used to send a message to the source of a command, or to the console if it is not a player
+     */
+    static reply(origin: CustomCommandOrigin, message: string): void;
+    /**
+     * This method is used to get a table of the given kind by its name
+     * @remarks Throws if the table does not exist, so commands never create tables
+     */
+    static open(kind: DatabaseKind, table: string): BDatabase | SRCItemDatabase;
+    /**
+     * This method is used to get the namespaces that have tables saved in the world
+     */
+    static namespaces(): string[];
+    /**
+     * This method is used to split a table written as `namespace:table`
+     * @remarks The name is kept as is when the part before the colon is not a namespace of the world
+     */
+    static parse(table: string): { namespace?: string, name: string };
+    /**
+     * This method is used to get the itemStacks saved in a key, whether it was saved with set or setItems
+     * @returns {ItemStack[]} The itemStacks, empty if the key is not found
+     */
+    static items(db: SRCItemDatabase, key: string): ItemStack[];
+    /**
+     * This method is used to describe an itemStack in one line, like `1x minecraft:diamond_sword "Excalibur" [sharpness 5]`
+     */
+    static describeItem(itemStack: ItemStack): string;
+    /**
+     * /db:tables lists the DBManager tables, the other BDatabase tables and the item tables, then those of every namespace as `namespace:table`
+     */
+    static tables(): string;
+    /**
+     * /db:keys lists a page of the keys of a table
+     */
+    static keys(kind: DatabaseKind, table: string, page?: number): string;
+    /**
+     * /db:view shows a BDatabase value as json, or a line for each saved itemStack
+     */
+    static view(kind: DatabaseKind, table: string, key: string): string;
+    /**
+     * /db:give adds the itemStacks saved in a key to the inventory of the player, dropping what doesn't fit
+     */
+    static give(origin: CustomCommandOrigin, table: string, key: string): string;
+    /**
+     * /db:delete deletes a key
+     */
+    static delete(kind: DatabaseKind, table: string, key: string): Promise<string>;
+    /**
+     * /db:clear deletes every key of a table
+     */
+    static clear(kind: DatabaseKind, table: string): Promise<string>;
+}
+export default DatabaseCommands;
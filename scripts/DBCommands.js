@@ -0,0 +1,150 @@
+import {
+    CommandPermissionLevel,
+    CustomCommandParamType,
+    CustomCommandStatus,
+    system,
+    world
+} from "@minecraft/server";
+import BDatabase from "./Database.js";
+import SRCItemDatabase from "./ItemDatabase.js";
+import { Databases } from "./DBManager.js";
+import * as Codec from "./lib/Codec.js";
+
+const kind = { name: 'db:kind', type: CustomCommandParamType.Enum },
+    table = { name: 'table', type: CustomCommandParamType.String },
+    key = { name: 'key', type: CustomCommandParamType.String };
+class DatabaseCommands {
+    static kinds = ['table', 'items'];
+    static pageSize = 20;
+    static maxLength = 1000;
+    static permissions = {
+        tables: CommandPermissionLevel.Admin,
+        keys: CommandPermissionLevel.Admin,
+        view: CommandPermissionLevel.Admin,
+        give: CommandPermissionLevel.Admin,
+        delete: CommandPermissionLevel.Admin,
+        clear: CommandPermissionLevel.Admin
+    };
+    static commands = {
+        tables: { description: 'Lists the database tables', run: () => DatabaseCommands.tables() },
+        keys: {
+            description: 'Lists the keys of a database table',
+            mandatoryParameters: [kind, table], optionalParameters: [{ name: 'page', type: CustomCommandParamType.Integer }],
+            run: (origin, kind, table, page) => DatabaseCommands.keys(kind, table, page)
+        },
+        view: { description: 'Shows the value saved in a key', mandatoryParameters: [kind, table, key], run: (origin, kind, table, key) => DatabaseCommands.view(kind, table, key) },
+        give: { description: 'Gives you the items saved in a key', mandatoryParameters: [table, key], run: (origin, table, key) => DatabaseCommands.give(origin, table, key) },
+        delete: { description: 'Deletes a key of a database table', mandatoryParameters: [kind, table, key], run: (origin, kind, table, key) => DatabaseCommands.delete(kind, table, key) },
+        clear: { description: 'Deletes every key of a database table', mandatoryParameters: [kind, table], run: (origin, kind, table) => DatabaseCommands.clear(kind, table) }
+    };
+    static register(registry) {
+        registry.registerEnum(kind.name, DatabaseCommands.kinds);
+        for (const [name, { description, mandatoryParameters, optionalParameters, run }] of Object.entries(DatabaseCommands.commands))
+            registry.registerCommand({
+                name: `db:${name}`,
+                description,
+                permissionLevel: DatabaseCommands.permissions[name] ?? CommandPermissionLevel.Admin,
+                mandatoryParameters,
+                optionalParameters
+            }, (origin, ...args) => DatabaseCommands.execute(origin, run, args));
+    };
+    static execute(origin, run, args) {
+        // Commands run in read-only mode, so the work is done on the next tick and the answer is sent in chat
+        system.run(() => Promise.resolve()
+            .then(() => run(origin, ...args))
+            .then(message => DatabaseCommands.reply(origin, message), error => DatabaseCommands.reply(origin, `§c${error?.message ?? error}`)));
+        return { status: CustomCommandStatus.Success };
+    };
+    static reply(origin, message) {
+        const target = origin.initiator ?? origin.sourceEntity;
+        if (typeof target?.sendMessage == 'function') target.sendMessage(message);
+        else console.warn(message);
+    };
+    static namespaces() {
+        const names = new Set();
+        for (const id of world.getDynamicPropertyIds()) {
+            const match = /^([\w-]+):dbs?_/.exec(id);
+            if (match) names.add(match[1]);
+        }
+        return [...names];
+    };
+    static parse(table) {
+        // Tables of a namespace are written namespace:table, a table that only has a colon in its name is kept as is
+        const match = /^([\w-]+):(.+)$/.exec(table);
+        return match && DatabaseCommands.namespaces().includes(match[1]) ? { namespace: match[1], name: match[2] } : { name: table };
+    };
+    static open(kind, table) {
+        const { namespace, name } = DatabaseCommands.parse(table);
+        // Opening a table creates it, so only the tables that already exist are opened
+        if (!(kind === 'items' ? SRCItemDatabase.tableNames(namespace) : BDatabase.tableNames(namespace)).includes(name)) throw new Error(`The table "${table}" was not found.`);
+        return kind === 'items' ? SRCItemDatabase.open(name, undefined, { namespace }) : BDatabase.open(name, { namespace });
+    };
+    static notFound(table, key) { return new Error(`The key "${key}" was not found in ${table}.`) };
+    static items(db, key) {
+        if (db.isExpired(key) || !db.getId(key)) return [];
+        const value = db.isList(key) ? db.getItems(key) : db.get(key) ?? db.getAsync(key);
+        return [value].flat().filter(Boolean);
+    };
+    static describeItem(itemStack) {
+        const { typeId, amount, nameTag, enchantments } = SRCItemDatabase.describe(itemStack),
+            levels = Object.entries(enchantments).map(([id, level]) => `${id} ${level}`);
+        return `${amount}x ${typeId}${nameTag !== undefined ? ` "${nameTag}"` : ''}${levels.length ? ` [${levels.join(', ')}]` : ''}`;
+    };
+    static tables() {
+        const managed = Object.keys(Databases ?? {}).filter(name => Databases[name] instanceof BDatabase), managedNames = new Set(managed.map(name => Databases[name].tableName));
+        return [
+            `§eManager tables:§r ${managed.join(', ') || 'none'}`,
+            `§eTables:§r ${BDatabase.tableNames().filter(name => !managedNames.has(name)).join(', ') || 'none'}`,
+            `§eItem tables:§r ${SRCItemDatabase.tableNames().join(', ') || 'none'}`,
+            ...DatabaseCommands.namespaces().flatMap(namespace => [
+                `§eTables of ${namespace}:§r ${BDatabase.tableNames(namespace).filter(name => !managedNames.has(name)).map(name => `${namespace}:${name}`).join(', ') || 'none'}`,
+                `§eItem tables of ${namespace}:§r ${SRCItemDatabase.tableNames(namespace).map(name => `${namespace}:${name}`).join(', ') || 'none'}`
+            ])
+        ].join('\n');
+    };
+    static keys(kind, table, page = 1) {
+        const db = DatabaseCommands.open(kind, table), keys = kind === 'items' ? db.getAllKeys() : db.keys(),
+            size = DatabaseCommands.pageSize, pages = Math.max(1, Math.ceil(keys.length / size));
+        page = Math.min(Math.max(page, 1), pages);
+        return `§e${table}§r (${keys.length} keys, page ${page}/${pages}): ${keys.slice((page - 1) * size, page * size).join(', ') || 'none'}`;
+    };
+    static view(kind, table, key) {
+        const db = DatabaseCommands.open(kind, table);
+        if (kind === 'items') {
+            const items = DatabaseCommands.items(db, key);
+            if (!items.length) throw DatabaseCommands.notFound(table, key);
+            return `§e${table}/${key}§r:\n${items.map(DatabaseCommands.describeItem).join('\n')}`;
+        }
+        if (!db.keys().includes(key) || db.isExpired(key)) throw DatabaseCommands.notFound(table, key);
+        const value = JSON.stringify(Codec.encode(db.get(key))) ?? 'undefined', max = DatabaseCommands.maxLength;
+        return `§e${table}/${key}§r: ${value.length > max ? value.slice(0, max) + '...' : value}`;
+    };
+    static give(origin, table, key) {
+        const player = origin.initiator ?? origin.sourceEntity, container = player?.getComponent('minecraft:inventory')?.container;
+        if (player?.typeId !== 'minecraft:player' || !container) throw new Error('Only players can receive items.');
+        const items = DatabaseCommands.items(DatabaseCommands.open('items', table), key);
+        if (!items.length) throw DatabaseCommands.notFound(table, key);
+        for (const item of items) {
+            const rest = container.addItem(item);
+            if (rest) player.dimension.spawnItem(rest, player.location);
+        }
+        return `Gave you ${items.length} item${items.length === 1 ? '' : 's'} from ${table}/${key}.`;
+    };
+    static async delete(kind, table, key) {
+        const db = DatabaseCommands.open(kind, table);
+        if (kind === 'items') {
+            if (!db.getId(key) || !await db.delete(key)) throw DatabaseCommands.notFound(table, key);
+        } else {
+            if (!db.keys().includes(key)) throw DatabaseCommands.notFound(table, key);
+            await db.delete(key);
+        }
+        return `Deleted ${table}/${key}.`;
+    };
+    static async clear(kind, table) {
+        const db = DatabaseCommands.open(kind, table), count = (kind === 'items' ? db.getAllKeys() : db.keys()).length;
+        await db.clear();
+        return `Deleted ${count} key${count === 1 ? '' : 's'} from ${table}.`;
+    };
+}
+system.beforeEvents.startup.subscribe(({ customCommandRegistry }) => DatabaseCommands.register(customCommandRegistry));
+export default DatabaseCommands;
@@ -1,13 +1,55 @@
 import { world } from "@minecraft/server";
-import Database from "./Database";
+import Database from "./Database.js";
 
+const managers = new Map();
 class DatabaseManager {
-    constructor() {
+    constructor(namespace) {
+        /**
+         * @returns {String | undefined} the namespace of the tables
+         * @remarks Is added before the dynamic property ids of every table
+         */
+        this.namespace = namespace;
         /**
          * @returns {Database} structure ids database
          * @remarks Is used to store structure ids
          */
-        this.structureIds = new Database('structureIds');
+        this.structureIds = new Database('structureIds', { namespace });
+        /**
+         * @returns {Database} item keys database
+         * @remarks Maps every key of the item tables, saved as `<table><key>`, to its short structure id
+         */
+        this.itemKeys = new Database('itemKeys', { namespace });
+        /**
+         * @returns {Database} item metadata database
+         * @remarks Is used to query items without placing their structures and to tell the keys saved with setItems apart, one entry per key like itemKeys
+         */
+        this.itemMeta = new Database('itemMeta', { namespace });
+        /**
+         * @returns {Database} item data database
+         * @remarks Is used to store the serialized items of the tables using json storage, one entry per key like itemKeys
+         */
+        this.itemData = new Database('itemData', { namespace });
+        /**
+         * @returns {Database} item expiry database
+         * @remarks Is used to store when the items saved with a ttl expire
+         */
+        this.itemExpiry = new Database('itemExpiry', { namespace });
+        /**
+         * @returns {Database} item history database
+         * @remarks Is used to store the previous versions of the keys of the item tables with history
+         */
+        this.itemHistory = new Database('itemHistory', { namespace });
+        /**
+         * @returns {Database} vault metadata database
+         * @remarks Is used to store the owner name and capacity of every player vault
+         */
+        this.vaultMeta = new Database('vaultMeta', { namespace });
+        /**
+         * @returns {Database} item bank balances database
+         * @remarks Is used to store the amount of every item variant of each item bank
+         */
+        this.bankBalances = new Database('bankBalances', { namespace });
+        managers.set(namespace, this);
     }
 }
 /**
@@ -18,6 +60,16 @@ class DatabaseManager {
  * Databases.config.get('key')
  */
 export let Databases;
+/**
+ * Gets the database manager of a namespace, so add-ons sharing a world keep their tables apart
+ * @param {String} [namespace] The namespace, the default manager if undefined
+ * @returns {DatabaseManager}
+ * @example databases('myaddon').itemKeys.get('table')
+ */
+export function databases(namespace) {
+    return managers.get(namespace) ?? new DatabaseManager(namespace);
+}
 world.afterEvents.worldLoad.subscribe(() => {
+    managers.clear();
     Databases = new DatabaseManager();
 });
\ No newline at end of file
@@ -1,3 +1,116 @@
+import { Entity, World } from "@minecraft/server";
+
+/**
+ * Cambios de una transacción, aplicados todos juntos al terminar.
+ */
+export interface BDatabaseTransaction {
+    /**
+     * Obtiene un valor, teniendo en cuenta los cambios de la transacción.
+     * @param {string} key La clave del valor.
+     */
+    get(key: string): any;
+    /**
+     * Comprueba si existe una clave, teniendo en cuenta los cambios de la transacción.
+     * @param {string} key La clave a comprobar.
+     */
+    has(key: string): boolean;
+    /**
+     * Establece un valor al confirmar la transacción.
+     * @param {string} key La clave del valor.
+     * @param {*} value El valor a establecer.
+     */
+    set(key: string, value: any, options?: BDatabaseSetOptions): BDatabaseTransaction;
+    /**
+     * Elimina una clave al confirmar la transacción.
+     * @param {string} key La clave a eliminar.
+     */
+    delete(key: string): BDatabaseTransaction;
+}
+
+/**
+ * Evento recibido por las funciones de `onChange`.
+ */
+export interface BDatabaseChangeEvent {
+    key: string;
+    oldValue: any;
+    newValue: any;
+    type: 'set' | 'delete' | 'clear';
+}
+
+/**
+ * Evento recibido por las funciones de `onExpire`.
+ */
+export interface BDatabaseExpireEvent {
+    key: string;
+    /**
+     * El valor que tenía la clave al caducar.
+     */
+    value: any;
+    /**
+     * El momento en que se eliminó, en milisegundos.
+     */
+    expiredAt: number;
+}
+
+/**
+ * Opciones de `set`.
+ */
+export interface BDatabaseSetOptions {
+    /**
+     * Tiempo en milisegundos tras el que la clave se elimina sola.
+     */
+    ttl?: number;
+}
+
+/**
+ * Opciones del constructor de `BDatabase`.
+ */
+export interface BDatabaseOptions {
+    /**
+     * Comprime los datos de cada fragmento antes de guardarlos. Por defecto `false`.
+     * @remarks Los datos sin comprimir se siguen leyendo, así que se puede activar en una tabla existente.
+     */
+    compress?: boolean;
+    /**
+     * Número de fragmentos en los que se reparten las claves. Por defecto 16.
+     * @remarks Solo se usa al crear la tabla; después se mantiene el número guardado.
+     */
+    shards?: number;
+    /**
+     * Entidad o jugador en cuyas propiedades dinámicas se guarda la tabla, en lugar del mundo.
+     * @remarks Los datos se quedan en la entidad. Cuando la entidad se elimina o se descarga, la tabla se libera de la memoria y hay que volver a crearla.
+     */
+    owner?: Entity;
+    /**
+     * Espacio de nombres que se añade delante de las propiedades dinámicas de la tabla, como `<namespace>:dbs_<tabla>`.
+     * @remarks Sirve para que dos complementos en el mismo mundo no compartan tablas. Solo puede tener letras, números, `_` o `-`.
+     */
+    namespace?: string;
+}
+
+/**
+ * Codificador para guardar instancias de una clase propia.
+ * Se necesita `type` o `test` para reconocer los valores.
+ */
+export interface BDatabaseCodec<T = any> {
+    /**
+     * La clase de los valores; se comprueba con `instanceof`.
+     */
+    type?: new (...args: any[]) => T;
+    /**
+     * Comprueba si un valor lo guarda este codificador.
+     */
+    test?(value: unknown): boolean;
+    /**
+     * Convierte el valor en datos que se puedan guardar; pueden contener otros tipos con codificador.
+     */
+    encode(value: T): any;
+    /**
+     * Vuelve a crear el valor a partir de los datos de `encode`.
+     */
+    decode(data: any): T;
+}
+
 /**
  * Clase para manejar bases de datos en Minecraft Bedrock Edition.
  */
@@ -5,12 +118,76 @@ declare class BDatabase {
     private tableName: string;
     private QUEUE: Function[];
     private onLoadCallback?: (data: any) => void;
+    private compress: boolean;
+    private shards: number;
+    private owner?: Entity;
+    private ownerId?: string;
+    /**
+     * El espacio de nombres de la tabla, si lo tiene.
+     */
+    private namespace?: string;
+    /**
+     * El prefijo de las propiedades dinámicas de la tabla: `<namespace>:` o nada.
+     */
+    private prefix: string;
+    /**
+     * Donde se guardan las propiedades dinámicas: la entidad dueña o el mundo.
+     */
+    private storage: World | Entity;
+    /**
+     * Clave de la tabla en memoria; incluye el id del dueño si lo tiene.
+     */
+    private tableId: string;
 
     /**
      * Crea una nueva instancia de la base de datos.
      * @param {string} value El nombre de la tabla.
+     * @param {BDatabaseOptions} [options] Opciones de almacenamiento.
+     * @example new BDatabase('players', { compress: true });
+     * @example new BDatabase('stats', { owner: player });
+     * @example new BDatabase('stats', { namespace: 'myaddon' });
      */
-    constructor(value: string);
+    constructor(value: string, options?: BDatabaseOptions);
+
+    /**
+     * Obtiene el prefijo de las propiedades dinámicas de un espacio de nombres.
+     * @param {string} [namespace] El espacio de nombres.
+     * @returns {string} `<namespace>:`, o una cadena vacía sin espacio de nombres.
+     */
+    static prefix(namespace?: string): string;
+
+    /**
+     * Obtiene el identificador con el que se guarda una tabla en memoria.
+     * @param {string} value El nombre de la tabla.
+     * @param {BDatabaseOptions} [options] El dueño y el espacio de nombres de la tabla.
+     * @returns {string} `<owner.id>/<prefijo><tabla>` con dueño, o `<prefijo><tabla>` sin él.
+     */
+    static tableIdOf(value: string, options?: BDatabaseOptions): string;
+
+    /**
+     * Obtiene los nombres de las tablas abiertas y guardadas.
+     * @param {string} [namespace] El espacio de nombres de las tablas.
+     * @returns {string[]} Los nombres de las tablas.
+     */
+    static tableNames(namespace?: string): string[];
+
+    /**
+     * Obtiene la instancia abierta de una tabla, o la abre si no lo está.
+     * @param {string} value El nombre de la tabla.
+     * @param {BDatabaseOptions} [options] Opciones usadas si la tabla no está abierta.
+     * @returns {BDatabase}
+     * @remarks Si el dueño de la tabla abierta ya no es válido, se abre de nuevo con el dueño de `options`.
+     */
+    static open(value: string, options?: BDatabaseOptions): BDatabase;
+
+    /**
+     * Borra las propiedades dinámicas del mundo de todas las tablas de un espacio de nombres.
+     * @param {string} [namespace] El espacio de nombres; sin él, se borran las tablas sin espacio de nombres.
+     * @returns {number} El número de propiedades borradas.
+     * @remarks Las tablas abiertas del espacio de nombres se quedan vacías. Las tablas guardadas en una entidad no se borran.
+     * @example BDatabase.clearStorage('myaddon');
+     */
+    static clearStorage(namespace?: string): number;
 
     /**
      * Resetea el almacenamiento de la base de datos.
@@ -23,6 +200,199 @@ declare class BDatabase {
      */
     fetch(): object;
 
+    /**
+     * Lee los datos guardados con el formato anterior (`db_<tabla>` y `db_<tabla>_<n>`).
+     * @returns {object} Los datos de la tabla, o un objeto vacío.
+     */
+    fetchLegacy(): object;
+
+    /**
+     * Pasa los datos del formato anterior a fragmentos y elimina las propiedades antiguas.
+     * @returns {object} Los datos de la tabla.
+     * @remarks Se llama internamente desde `fetch` la primera vez que se carga una tabla antigua.
+     */
+    migrate(): object;
+
+    /**
+     * Obtiene el fragmento en el que se guarda una clave.
+     * @param {string} key La clave.
+     * @returns {number} El índice del fragmento.
+     */
+    shardOf(key: string): number;
+
+    /**
+     * Convierte las claves de un fragmento en los textos a guardar, de 8000 caracteres como máximo.
+     * @param {object} data Los datos de la tabla.
+     * @param {number} shard El índice del fragmento.
+     * @returns {string[]} Los textos del fragmento, vacío si no tiene claves.
+     */
+    encodeShard(data: object, shard: number): string[];
+
+    /**
+     * Lee las claves guardadas en un fragmento.
+     * @param {number} shard El índice del fragmento.
+     * @returns {object} Las claves del fragmento.
+     */
+    readShard(shard: number): object;
+
+    /**
+     * Registra un codificador para guardar y cargar instancias de una clase propia.
+     * @param {string} name El nombre que se guarda con los datos; debe ser el mismo en cada carga.
+     * @param {BDatabaseCodec} codec El codificador.
+     * @example BDatabase.registerCodec('Money', { type: Money, encode: m => m.cents, decode: c => new Money(c) });
+     * @remarks Map, Set, Date, BigInt y Vector ya se guardan sin registrar nada. Los codificadores se deben registrar antes de crear las tablas que los usan.
+     */
+    static registerCodec<T>(name: string, codec: BDatabaseCodec<T>): void;
+
+    /**
+     * Elimina un codificador registrado con `registerCodec`.
+     * @param {string} name El nombre del codificador.
+     * @returns {boolean} Si existía.
+     */
+    static unregisterCodec(name: string): boolean;
+
+    /**
+     * Obtiene las propiedades a escribir para guardar un fragmento, incluidas las que sobran y se deben borrar.
+     * @param {number} shard El índice del fragmento.
+     * @param {string[]} chunks Los textos de `encodeShard`.
+     */
+    shardProperties(shard: number, chunks: string[]): Record<string, string | number | undefined>;
+
+    /**
+     * Guarda los fragmentos de las claves indicadas, o todos si no se indican.
+     * @param {object} data Los datos de la tabla.
+     * @param {Iterable<string>} [keys] Las claves que han cambiado.
+     * @param {boolean} [atomic] Si es `true`, se guarda una copia de seguridad antes de escribir.
+     */
+    saveShards(data: object, keys?: Iterable<string>, atomic?: boolean): void;
+
+    /**
+     * Lanza un error si la entidad dueña de la tabla ya no es válida.
+     */
+    checkOwner(): void;
+
+    /**
+     * Libera de la memoria las tablas de una entidad, junto con sus funciones de `onChange` y `onExpire`.
+     * @param {string} ownerId El id de la entidad.
+     * @remarks Se llama internamente cuando se elimina una entidad.
+     */
+    static release(ownerId: string): void;
+
+    /**
+     * Escribe varias propiedades dinámicas; con `atomic`, las escribe todas o ninguna.
+     * @param {Record<string, string | number | undefined>} value Las propiedades a escribir.
+     * @param {boolean} [atomic] Si es `true`, se guarda una copia de seguridad antes de escribir.
+     */
+    writeProperties(value: Record<string, string | number | undefined>, atomic?: boolean): void;
+
+    /**
+     * Deshace una transacción interrumpida, restaurando la copia de seguridad guardada antes de escribir.
+     * @remarks Se llama internamente desde `fetch`.
+     */
+    recover(): void;
+
+    /**
+     * Elimina la copia de seguridad y la marca de la última transacción.
+     */
+    clearBackup(): void;
+
+    /**
+     * Escribe los datos de la tabla en una sola operación, o ninguno si falla.
+     * @param {object} data Los nuevos datos de la tabla.
+     * @param {Iterable<string>} [keys] Las claves que han cambiado; solo se reescriben sus fragmentos.
+     */
+    commit(data: object, keys?: Iterable<string>): void;
+
+    /**
+     * Ejecuta varios cambios y los guarda todos juntos, o ninguno si la función lanza un error.
+     * @param {(tx: BDatabaseTransaction) => void | Promise<void>} callback La función que realiza los cambios.
+     * @returns {Promise<BDatabase>}
+     * @example await db.transaction(tx => { tx.set('a', 1); tx.delete('b'); });
+     */
+    transaction(callback: (tx: BDatabaseTransaction) => void | Promise<void>): Promise<BDatabase>;
+
+    /**
+     * Escucha los cambios de una clave, o de todas con '*'.
+     * @param {string} key La clave a escuchar, o '*'.
+     * @param {(event: BDatabaseChangeEvent) => void} callback La función a ejecutar en cada cambio.
+     * @returns {(event: BDatabaseChangeEvent) => void} La misma función, para usar con `unsubscribe`.
+     * @example db.onChange('*', ({ key, newValue }) => console.warn(key, newValue));
+     * @remarks Las funciones se comparten entre todas las instancias de la misma tabla.
+     */
+    onChange(key: string, callback: (event: BDatabaseChangeEvent) => void): (event: BDatabaseChangeEvent) => void;
+
+    /**
+     * Deja de escuchar los cambios o las caducidades.
+     * @param {Function} callback La función pasada a `onChange` u `onExpire`.
+     * @returns {boolean} Si la función estaba suscrita.
+     */
+    unsubscribe(callback: ((event: BDatabaseChangeEvent) => void) | ((event: BDatabaseExpireEvent) => void)): boolean;
+
+    /**
+     * Ejecuta una función cada vez que una clave de esta tabla caduca.
+     * @param {(event: BDatabaseExpireEvent) => void} callback La función a ejecutar.
+     * @returns {(event: BDatabaseExpireEvent) => void} La misma función, para usar con `unsubscribe`.
+     * @example db.onExpire(({ key, value }) => console.warn(`${key} caducó`));
+     */
+    onExpire(callback: (event: BDatabaseExpireEvent) => void): (event: BDatabaseExpireEvent) => void;
+
+    /**
+     * Lee las fechas de caducidad guardadas de esta tabla.
+     * @returns {Record<string, number>} Las fechas de caducidad por clave, en milisegundos.
+     */
+    fetchExpiries(): Record<string, number>;
+
+    /**
+     * Guarda las fechas de caducidad de esta tabla.
+     */
+    saveExpiries(): void;
+
+    /**
+     * Comprueba que un `ttl` sea un número positivo.
+     * @param {string} key La clave del valor.
+     * @param {number | undefined} ttl El tiempo en milisegundos.
+     */
+    static checkTtl(key: string, ttl: number | undefined): void;
+
+    /**
+     * Establece o elimina la caducidad de una clave.
+     * @param {string} key La clave.
+     * @param {number | undefined} ttl El tiempo en milisegundos, o `undefined` para que no caduque.
+     * @param {boolean} save Si se guardan las fechas de caducidad.
+     * @returns {boolean} Si la caducidad cambió.
+     */
+    setExpiry(key: string, ttl: number | undefined, save?: boolean): boolean;
+
+    /**
+     * Obtiene el tiempo que le queda a una clave antes de caducar.
+     * @param {string} key La clave.
+     * @returns {number | undefined} Los milisegundos restantes, o `undefined` si no caduca.
+     */
+    ttl(key: string): number | undefined;
+
+    /**
+     * Comprueba si una clave ya caducó, aunque todavía no se haya eliminado.
+     * @param {string} key La clave.
+     * @returns {boolean}
+     */
+    isExpired(key: string): boolean;
+
+    /**
+     * Inicia el `system.runInterval` que elimina las claves caducadas de todas las tablas.
+     */
+    static startSweeper(): void;
+
+    /**
+     * Elimina las claves caducadas de todas las tablas.
+     * @remarks Se llama internamente cada 20 ticks.
+     */
+    static sweep(): void;
+
+    /**
+     * Notifica un cambio a las funciones suscritas a esta tabla.
+     */
+    emit(key: string, oldValue: any, newValue: any, type: 'set' | 'delete' | 'clear'): void;
+
     /**
      * Añade una tarea a la cola de tareas.
      * @returns {Promise<void>}
@@ -31,9 +401,10 @@ declare class BDatabase {
 
     /**
      * Guarda los datos en la base de datos.
+     * @param {Iterable<string>} [keys] Las claves que han cambiado; sin ellas se guardan todos los fragmentos.
      * @returns {Promise<void>}
      */
-    saveData(): Promise<void>;
+    saveData(keys?: Iterable<string>): Promise<void>;
 
     /**
      * Callback para ejecutar cuando se carga la base de datos.
@@ -53,23 +424,28 @@ declare class BDatabase {
      * Establece un valor en la base de datos.
      * @param {string} value La clave del valor.
      * @param {*} e El valor a establecer.
+     * @param {BDatabaseSetOptions} options `ttl` hace que la clave caduque tras esos milisegundos.
      * @returns {Promise<void>}
+     * @example db.set('daily', reward, { ttl: 24 * 60 * 60 * 1000 });
+     * @remarks Guardar una clave sin `ttl` elimina su caducidad anterior.
      */
-    set(value: string, e: any): Promise<void>;
+    set(value: string, e: any, options?: BDatabaseSetOptions): Promise<void>;
 
     /**
      * Guarda valores o actualiza valores en el registro bajo clave(s).
      * @param {{ [key: string]: any }} data Datos a escribir.
-     * @returns {Promise<void>}
+     * @returns {Promise<BDatabase>}
+     * @remarks Se guardan en una sola transacción.
      */
-    setMany(data: { [key: string]: any }): Promise<void>;
+    setMany(data: { [key: string]: any }): Promise<BDatabase>;
 
     /**
      * Elimina la(s) clave(s) de la tabla.
      * @param {string[]} keys Arreglo de claves a eliminar.
-     * @returns {Promise<void>}
+     * @returns {Promise<BDatabase>}
+     * @remarks Se eliminan en una sola transacción.
      */
-    deleteMany(keys: string[]): Promise<void>;
+    deleteMany(keys: string[]): Promise<BDatabase>;
 
     /**
      * Ejecuta un bucle forEach en cada clave de la base de datos.
@@ -114,7 +490,14 @@ declare class BDatabase {
     getManySync(keys: string[]): Promise<any[]>;
 
     /**
-     * Devuelve una lista iterable de claves almacenadas en esta tabla.
+     * Devuelve las claves en memoria que no han caducado.
+     * @returns {string[]}
+     * @remarks Las claves caducadas siguen en memoria hasta el siguiente barrido; todas las lecturas las omiten.
+     */
+    liveKeys(): string[];
+
+    /**
+     * Devuelve una lista iterable de claves almacenadas en esta tabla, sin las caducadas.
      * @returns {string[]}
      */
     keys(): string[];
@@ -178,7 +561,7 @@ declare class BDatabase {
     findMany(value: number): string[] | number[];
 
     /**
-     * Devuelve un objeto con todas las claves y valores de esta tabla.
+     * Devuelve un objeto con todas las claves y valores de esta tabla, sin las claves caducadas.
      * @returns {{ [key: string]: any }}
      */
     collection(): { [key: string]: any };
@@ -5,51 +5,318 @@ Please send a message to gameza_src on Discord, or join our discord server: http
 Thank you.
 
 */
-import { world } from "@minecraft/server";
+import { system, world } from "@minecraft/server";
+import { ChangeEmitter } from "./lib/ChangeEmitter.js";
+import * as Compression from "./lib/Compression.js";
+import * as Codec from "./lib/Codec.js";
 
 const memory = {};
+const expiries = {};
+const tables = {};
+const changes = new ChangeEmitter();
+const expirations = new ChangeEmitter();
+const DELETED = Symbol('deleted');
+let sweeper;
 class BDatabase {
-    constructor(value) {
+    constructor(value, { compress = false, shards = 16, owner, namespace } = {}) {
+        if (owner && !owner.isValid) throw new Error(`The owner of the table ${value} is not valid.`);
         this.tableName = value;
-        memory[this.tableName] = this.fetch() || {};
+        this.owner = owner;
+        this.ownerId = owner?.id;
+        this.storage = owner ?? world;
+        this.namespace = namespace;
+        this.prefix = BDatabase.prefix(namespace);
+        this.tableId = BDatabase.tableIdOf(value, { owner, namespace });
+        this.compress = compress;
+        this.shards = shards;
+        tables[this.tableId] = this;
+        expiries[this.tableId] = this.fetchExpiries();
+        if (Object.keys(expiries[this.tableId]).length) BDatabase.startSweeper();
+        memory[this.tableId] = this.fetch() || {};
         this.QUEUE = [];
         let e = this.fetch();
-        memory[this.tableName] = e, this.onLoadCallback?.(e), this.QUEUE.forEach(s => s());
+        memory[this.tableId] = e, this.onLoadCallback?.(e), this.QUEUE.forEach(s => s());
     };
-    resetStorage() {
-        let value = world.getDynamicPropertyIds().filter(e => e.startsWith(`db_${this.tableName}`));
+    static prefix(namespace) {
+        if (namespace === undefined) return "";
+        if (typeof namespace != "string" || !/^[\w-]+$/.test(namespace)) throw new Error(`Invalid namespace "${namespace}", expected letters, numbers, _ or -.`);
+        return `${namespace}:`;
+    };
+    static tableIdOf(value, { owner, namespace } = {}) {
+        let prefix = BDatabase.prefix(namespace);
+        return owner ? `${owner.id}/${prefix}${value}` : prefix + value;
+    };
+    static tableNames(namespace) {
+        let prefix = BDatabase.prefix(namespace), names = new Set(Object.values(tables).filter(db => !db.owner && db.namespace === namespace).map(db => db.tableName));
+        for (let e of world.getDynamicPropertyIds()) if (e.startsWith(`${prefix}dbs_`) && !/#\d+(\.\d+)?$/.test(e)) names.add(e.slice(prefix.length + 4));
+        return [...names];
+    };
+    static open(value, options = {}) {
+        let db = tables[BDatabase.tableIdOf(value, options)];
+        // Un jugador que sale y vuelve a entrar es otra entidad con el mismo id, la tabla se vuelve a abrir sobre ella
+        return db && (!db.owner || db.owner.isValid) ? db : new BDatabase(value, options);
+    };
+    static clearStorage(namespace) {
+        let prefix = BDatabase.prefix(namespace), value = world.getDynamicPropertyIds().filter(e => e.startsWith(prefix) && /^db(s|tx|ttl)?_/.test(e.slice(prefix.length)));
         for (let e of value) world.setDynamicProperty(e, void 0);
-        world.setDynamicProperty(`db_${this.tableName}`, 0);
-        memory[this.tableName] = {};  // Resetea la memoria para esta tabla
+        for (let tableId in tables) if (!tables[tableId].owner && tables[tableId].namespace === namespace) memory[tableId] = {}, expiries[tableId] = {};
+        return value.length;
+    };
+    resetStorage() {
+        let value = this.storage.getDynamicPropertyIds().filter(e => e === `${this.prefix}db_${this.tableName}` || e.startsWith(`${this.prefix}db_${this.tableName}_`) || e === `${this.prefix}dbs_${this.tableName}` || e.startsWith(`${this.prefix}dbs_${this.tableName}#`));
+        for (let e of value) this.storage.setDynamicProperty(e, void 0);
+        memory[this.tableId] = {};  // Resetea la memoria para esta tabla
     };
     fetch() {
-        let value = world.getDynamicProperty(`db_${this.tableName}`) ?? 0;
-        if (typeof value != "number" && (console.warn(`[DATABASE]: DB: ${this.tableName}, has improper setup! Resetting data.`),/* MainSettings.logs.errors.push(`[DATABASE]: DB: ${this.tableName}, has improper setup! Resetting data.`),*/ value = 0, this.resetStorage()), value <= 0) return {};
+        this.recover();
+        let value = this.storage.getDynamicProperty(`${this.prefix}dbs_${this.tableName}`);
+        if (value === undefined && this.storage.getDynamicProperty(`${this.prefix}db_${this.tableName}`) !== undefined) return this.migrate();
+        if (value === undefined) return {};
+        if (typeof value != "number" || value <= 0) return console.warn(`[DATABASE]: DB: ${this.tableName}, has improper setup! Resetting data.`), this.resetStorage(), {};
+        this.shards = value;
+        let data = {};
+        for (let s = 0; s < value; s++) {
+            try {
+                Object.assign(data, this.readShard(s));
+            } catch (e) {
+                console.warn(`[DATABASE]: When fetching: dbs_${this.tableName}#${s}, improper data was found. ${e}`);
+            }
+        }
+        memory[this.tableId] = data;  // Actualiza la memoria global
+        return memory[this.tableId];
+    };
+    fetchLegacy() {
+        let value = this.storage.getDynamicProperty(`${this.prefix}db_${this.tableName}`) ?? 0;
+        if (typeof value != "number" && (console.warn(`[DATABASE]: DB: ${this.tableName}, has improper setup! Resetting data.`), value = 0), value <= 0) return {};
         let e = "";
         for (let s = 0; s < value; s++) {
-            let a = world.getDynamicProperty(`db_${this.tableName}_${s}`);
-            if (typeof a != "string") return console.warn(`[DATABASE]: When fetching: db_${this.tableName}_${s}, improper data was found.`),  /*MainSettings.logs.errors.push(`[DATABASE]: When fetching: db_${this.tableName}_${s}, improper data was found.`),*/ this.resetStorage(), {};
+            let a = this.storage.getDynamicProperty(`${this.prefix}db_${this.tableName}_${s}`);
+            if (typeof a != "string") return console.warn(`[DATABASE]: When fetching: db_${this.tableName}_${s}, improper data was found.`), {};
             e += a;
         }
-        let data = JSON.parse(e);
-        memory[this.tableName] = data;  // Actualiza la memoria global
-        return memory[this.tableName];
+        return Codec.decode(JSON.parse(e));
+    };
+    migrate() {
+        let data = this.fetchLegacy(), count = this.storage.getDynamicProperty(`${this.prefix}db_${this.tableName}`), value = { [`${this.prefix}db_${this.tableName}`]: undefined };
+        for (let s = 0; typeof count == "number" && s < count; s++) value[`${this.prefix}db_${this.tableName}_${s}`] = undefined;
+        for (let s = 0; s < this.shards; s++) Object.assign(value, this.shardProperties(s, this.encodeShard(data, s)));
+        value[`${this.prefix}dbs_${this.tableName}`] = this.shards;
+        this.writeProperties(value, true);
+        memory[this.tableId] = data;
+        return memory[this.tableId];
+    };
+    shardOf(key) {
+        let hash = 0x811c9dc5;
+        key = String(key);
+        for (let i = 0; i < key.length; i++) hash = Math.imul(hash ^ key.charCodeAt(i), 0x01000193);
+        return (hash >>> 0) % this.shards;
+    };
+    encodeShard(data, shard) {
+        let entries = {}, empty = true;
+        for (let key in data) if (this.shardOf(key) === shard) entries[key] = data[key], empty = false;
+        if (empty) return [];
+        let value = JSON.stringify(Codec.encode(entries));
+        if (this.compress) value = "~" + Compression.compress(value);
+        return value.match(/[\s\S]{1,8000}/g);
+    };
+    readShard(shard) {
+        let value = this.storage.getDynamicProperty(`${this.prefix}dbs_${this.tableName}#${shard}`) ?? 0, e = "";
+        if (typeof value != "number") throw new Error("Improper chunk count.");
+        for (let s = 0; s < value; s++) {
+            let a = this.storage.getDynamicProperty(`${this.prefix}dbs_${this.tableName}#${shard}.${s}`);
+            if (typeof a != "string") throw new Error(`Improper chunk ${s}.`);
+            e += a;
+        }
+        if (!e) return {};
+        return Codec.decode(JSON.parse(e.startsWith("~") ? Compression.decompress(e.slice(1)) : e));
+    };
+    static registerCodec(name, codec) {
+        Codec.registerCodec(name, codec);
+    };
+    static unregisterCodec(name) {
+        return Codec.unregisterCodec(name);
+    };
+    shardProperties(shard, chunks) {
+        let value = {}, count = this.storage.getDynamicProperty(`${this.prefix}dbs_${this.tableName}#${shard}`);
+        for (let s = chunks.length; typeof count == "number" && s < count; s++) value[`${this.prefix}dbs_${this.tableName}#${shard}.${s}`] = undefined;
+        for (let [s, a] of chunks.entries()) value[`${this.prefix}dbs_${this.tableName}#${shard}.${s}`] = a;
+        value[`${this.prefix}dbs_${this.tableName}#${shard}`] = chunks.length || undefined;
+        return value;
+    };
+    saveShards(data, keys, atomic = false) {
+        let shards = keys ? new Set(Array.from(keys, key => this.shardOf(key))) : Array.from({ length: this.shards }, (_, s) => s), value = {};
+        for (let s of shards) Object.assign(value, this.shardProperties(s, this.encodeShard(data, s)));
+        if (this.storage.getDynamicProperty(`${this.prefix}dbs_${this.tableName}`) !== this.shards) value[`${this.prefix}dbs_${this.tableName}`] = this.shards;
+        this.writeProperties(value, atomic);
+    };
+    checkOwner() {
+        if (this.owner && !this.owner.isValid) throw new Error(`The owner of the table ${this.tableName} is no longer valid.`);
+    };
+    static release(ownerId) {
+        for (let tableId in tables) {
+            if (tables[tableId].ownerId !== ownerId) continue;
+            delete tables[tableId], delete memory[tableId], delete expiries[tableId];
+            changes.clear(tableId), expirations.clear(tableId);
+        }
+    };
+    writeProperties(value, atomic = false) {
+        this.checkOwner();
+        if (!atomic) {
+            for (let id in value) this.storage.setDynamicProperty(id, value[id]);
+            return;
+        }
+        let backup = {};
+        for (let id in value) backup[id] = this.storage.getDynamicProperty(id) ?? null;
+        let chunks = JSON.stringify(backup).match(/[\s\S]{1,8000}/g);
+        for (let [s, a] of chunks.entries()) this.storage.setDynamicProperty(`${this.prefix}dbtx_${this.tableName}_${s}`, a);
+        this.storage.setDynamicProperty(`${this.prefix}dbtx_${this.tableName}`, chunks.length);
+        try {
+            for (let id in value) this.storage.setDynamicProperty(id, value[id]);
+        } catch (e) {
+            this.recover();
+            throw e;
+        }
+        this.clearBackup();
+    };
+    recover() {
+        let value = this.storage.getDynamicProperty(`${this.prefix}dbtx_${this.tableName}`);
+        if (typeof value == "number") {
+            console.warn(`[DATABASE]: DB: ${this.tableName}, has an interrupted transaction! Rolling it back.`);
+            let e = "";
+            for (let s = 0; s < value; s++) e += this.storage.getDynamicProperty(`${this.prefix}dbtx_${this.tableName}_${s}`) ?? "";
+            try {
+                for (let [id, a] of Object.entries(JSON.parse(e))) this.storage.setDynamicProperty(id, a ?? undefined);
+            } catch (e) {
+                console.warn(`[DATABASE]: DB: ${this.tableName}, has an improper transaction backup! ${e}`);
+            }
+        }
+        this.clearBackup();
+    };
+    clearBackup() {
+        for (let s = 0; this.storage.getDynamicProperty(`${this.prefix}dbtx_${this.tableName}_${s}`) !== undefined; s++) this.storage.setDynamicProperty(`${this.prefix}dbtx_${this.tableName}_${s}`, void 0);
+        this.storage.setDynamicProperty(`${this.prefix}dbtx_${this.tableName}`, void 0);
+    };
+    commit(data, keys) {
+        this.saveShards(data, keys, true);
+        memory[this.tableId] = data;
+    };
+    async transaction(callback) {
+        if (!memory[this.tableId]) throw new Error("Data not loaded! Consider using `transaction` after loading the data.");
+        const pending = new Map(), ttls = new Map(), current = key => pending.has(key) ? pending.get(key) : memory[this.tableId][key];
+        let open = true;
+        const check = () => { if (!open) throw new Error("Transaction already finished!"); };
+        const tx = {
+            get: key => (check(), current(key) === DELETED ? undefined : current(key)),
+            has: key => (check(), current(key) !== DELETED && Boolean(current(key))),
+            set: (key, value, { ttl } = {}) => (check(), BDatabase.checkTtl(key, ttl), pending.set(key, value), ttls.set(key, ttl), tx),
+            delete: key => (check(), pending.set(key, DELETED), tx)
+        };
+        try {
+            await callback(tx);
+        } finally {
+            open = false;
+        }
+        if (!pending.size) return this;
+        const old = memory[this.tableId], data = { ...old };
+        for (const [key, value] of pending) value === DELETED ? delete data[key] : data[key] = value;
+        this.commit(data, pending.keys());
+        let expiryChanged = false;
+        for (const [key, value] of pending) expiryChanged = this.setExpiry(key, value === DELETED ? undefined : ttls.get(key), false) || expiryChanged;
+        if (expiryChanged) this.saveExpiries();
+        for (const [key, value] of pending) {
+            if (value !== DELETED) this.emit(key, old[key], value, 'set');
+            else if (key in old) this.emit(key, old[key], undefined, 'delete');
+        }
+        return this;
+    };
+    onChange(key, callback) {
+        return changes.subscribe(this.tableId, key, callback);
+    };
+    unsubscribe(callback) {
+        return [changes, expirations].map(emitter => emitter.unsubscribe(this.tableId, callback)).some(Boolean);
+    };
+    emit(key, oldValue, newValue, type) {
+        changes.emit(this.tableId, { key, oldValue, newValue, type });
+    };
+    onExpire(callback) {
+        return expirations.subscribe(this.tableId, '*', callback);
+    };
+    fetchExpiries() {
+        let value = this.storage.getDynamicProperty(`${this.prefix}dbttl_${this.tableName}`), e = "";
+        if (typeof value != "number" || value <= 0) return {};
+        for (let s = 0; s < value; s++) e += this.storage.getDynamicProperty(`${this.prefix}dbttl_${this.tableName}_${s}`) ?? "";
+        try {
+            return JSON.parse(e);
+        } catch {
+            console.warn(`[DATABASE]: DB: ${this.tableName}, has improper expiry data! Resetting it.`);
+            return {};
+        }
+    };
+    saveExpiries() {
+        this.checkOwner();
+        let value = JSON.stringify(expiries[this.tableId] ?? {}).match(/.{1,8000}/g) ?? [];
+        this.storage.setDynamicProperty(`${this.prefix}dbttl_${this.tableName}`, value.length);
+        for (let [s, a] of value.entries()) this.storage.setDynamicProperty(`${this.prefix}dbttl_${this.tableName}_${s}`, a);
+    };
+    static checkTtl(key, ttl) {
+        if (ttl !== undefined && (typeof ttl != "number" || !(ttl > 0))) throw new Error(`The ttl of "${key}" must be a positive number of milliseconds.`);
+    };
+    setExpiry(key, ttl, save = true) {
+        BDatabase.checkTtl(key, ttl);
+        const table = expiries[this.tableId] ??= {};
+        if (ttl === undefined) {
+            if (!(key in table)) return false;
+            delete table[key];
+        } else {
+            table[key] = Date.now() + ttl;
+            BDatabase.startSweeper();
+        }
+        if (save) this.saveExpiries();
+        return true;
+    };
+    ttl(key) {
+        const expires = expiries[this.tableId]?.[key];
+        return expires === undefined ? undefined : Math.max(expires - Date.now(), 0);
+    };
+    isExpired(key) {
+        const expires = expiries[this.tableId]?.[key];
+        return expires !== undefined && expires <= Date.now();
+    };
+    static startSweeper() {
+        sweeper ??= system.runInterval(() => BDatabase.sweep(), 20);
+    };
+    static sweep() {
+        const now = Date.now();
+        for (const tableId in expiries) {
+            const db = tables[tableId], expired = Object.keys(expiries[tableId]).filter(key => expiries[tableId][key] <= now);
+            if (!db || !memory[tableId] || !expired.length || db.owner && !db.owner.isValid) continue;
+            const old = memory[tableId], data = { ...old };
+            for (const key of expired) delete data[key], delete expiries[tableId][key];
+            try {
+                db.commit(data, expired);
+            } catch (e) {
+                console.warn(e + e.stack);
+                continue;
+            }
+            db.saveExpiries();
+            for (const key of expired) {
+                if (!(key in old)) continue;
+                db.emit(key, old[key], undefined, 'delete');
+                expirations.emit(tableId, { key, value: old[key], expiredAt: now });
+            }
+        }
     };
     async addQueueTask() {
         return new Promise(t => {
             this.QUEUE.push(t)
         })
     };
-    async saveData() {
-        if (!memory[this.tableName]) await this.addQueueTask();
-        let value = JSON.stringify(memory[this.tableName]).match(/.{1,8000}/g);
-        if (!value) return;
-        world.setDynamicProperty(`db_${this.tableName}`, value.length);
-        let e = value.entries();
-        for (let [s, a] of e) world.setDynamicProperty(`db_${this.tableName}_${s}`, a);
+    async saveData(keys) {
+        if (!memory[this.tableId]) await this.addQueueTask();
+        this.saveShards(memory[this.tableId], keys);
     };
     async onLoad(value) {
-        if (memory[this.tableName]) return value(memory[this.tableName]);
+        if (memory[this.tableId]) return value(memory[this.tableId]);
         this.onLoadCallback = value;
     };
     getDBS(table) {
@@ -58,28 +325,21 @@ class BDatabase {
             .map(db2 => db2);
         return gsDatabases;
     };
-    async set(value, e) {
-        if (!memory[this.tableName]) throw new Error("Data tried to be set before load!");
-        memory[this.tableName][value] = e;
-        return this.saveData();
+    async set(value, e, { ttl } = {}) {
+        if (!memory[this.tableId]) throw new Error("Data tried to be set before load!");
+        const old = memory[this.tableId][value];
+        this.setExpiry(value, ttl);
+        memory[this.tableId][value] = e;
+        this.emit(value, old, e, 'set');
+        return this.saveData([value]);
     };
     async setMany(data) {
-        if (!memory[this.tableName]) throw new Error("Data not loaded! Consider using `setMany` after loading the data.");
-        const promises = Object.keys(data).map(async (key) => {
-            memory[this.tableName][key] = data[key];
-            await this.set(key, data[key]);
-        });
-        await Promise.all(promises);
-        return this;
+        if (!memory[this.tableId]) throw new Error("Data not loaded! Consider using `setMany` after loading the data.");
+        return this.transaction(tx => Object.keys(data).forEach(key => tx.set(key, data[key])));
     };
     async deleteMany(keys) {
-        if (!memory[this.tableName]) throw new Error("Data not loaded! Consider using `deleteMany` after loading the data.");
-        const promises = keys.map(async (key) => {
-            delete memory[this.tableName][key];
-            await this.delete(key);
-        });
-        await Promise.all(promises);
-        return this;
+        if (!memory[this.tableId]) throw new Error("Data not loaded! Consider using `deleteMany` after loading the data.");
+        return this.transaction(tx => keys.forEach(key => tx.delete(key)));
     };
     forEach(callback) {
         const collection = this.collection();
@@ -92,31 +352,33 @@ class BDatabase {
         return this;
     };
     map(callback) {
-        const then = this.collection(), now = [];
+        const then = this.collection(), keys = Object.keys(then), now = [];
         try {
-            Object.keys(then).forEach(key => now.push(callback(key, then[key]) || undefined));
+            keys.forEach(key => now.push(callback(key, then[key]) || undefined));
         }
         catch (e) {
             console.warn(e + e.stack);
         }
         now.forEach((v, i) => {
-            if (!v.length)
+            if (!v?.length)
                 return;
-            const oldKey = Object.keys(then)[i];
+            const oldKey = keys[i];
+            const ttl = this.ttl(oldKey);
             if (v[0] != oldKey) {
                 this.delete(oldKey);
-                return this.set(v[0], v[1]);
+                return this.set(v[0], v[1], { ttl: ttl || undefined });
             }
-            return this.set(oldKey, v[1]);
+            return this.set(oldKey, v[1], { ttl: ttl || undefined });
         });
         return this;
     };
     get(value) {
-        if (!memory[this.tableName]) throw new Error("Data not loaded! Consider using `getAsync` instead!");
-        return memory[this.tableName][value];
+        if (!memory[this.tableId]) throw new Error("Data not loaded! Consider using `getAsync` instead!");
+        if (this.isExpired(value)) return undefined;
+        return memory[this.tableId][value];
     };
     async getSync(value) {
-        return memory[this.tableName] ? this.get(value) : (await this.addQueueTask(), memory[this.tableName] ? memory[this.tableName][value] : null);
+        return memory[this.tableId] ? this.get(value) : (await this.addQueueTask(), memory[this.tableId] ? this.get(value) : null);
     };
     getMany(keys) {
         return keys.map(key => this.get(key));
@@ -125,15 +387,19 @@ class BDatabase {
         const values = await Promise.all(keys.map(async key => await this.getSync(key)));
         return values;
     };
+    liveKeys() {
+        // Expired keys stay in memory until the next sweep, every read skips them like get does
+        return Object.keys(memory[this.tableId]).filter(key => !this.isExpired(key));
+    };
     keys() {
-        if (!memory[this.tableName]) throw new Error("Data not loaded! Consider using `keysSync` instead!");
-        return Object.keys(memory[this.tableName]);
+        if (!memory[this.tableId]) throw new Error("Data not loaded! Consider using `keysSync` instead!");
+        return this.liveKeys();
     };
     async keysSync() {
-        return memory[this.tableName] ? this.keys() : (await this.addQueueTask(), memory[this.tableName] ? Object.keys(memory[this.tableName]) : []);
+        return memory[this.tableId] ? this.keys() : (await this.addQueueTask(), memory[this.tableId] ? this.keys() : []);
     };
     allKeysP() {
-        return Object.keys(memory[this.tableName]);
+        return this.liveKeys();
     };
     async allKeys() {
         await this.addQueueTask(); // Asegurarse de que los datos estén cargados
@@ -142,45 +408,51 @@ class BDatabase {
         return allKeys.map(key => `\n${key}`);
     };
     values() {
-        if (!memory[this.tableName]) throw new Error("Data not loaded! Consider using `valuesSync` instead!");
-        return Object.values(memory[this.tableName]);
+        if (!memory[this.tableId]) throw new Error("Data not loaded! Consider using `valuesSync` instead!");
+        return this.liveKeys().map(key => memory[this.tableId][key]);
     };
     async valuesSync() {
-        return memory[this.tableName] ? this.values() : (await this.addQueueTask(), memory[this.tableName] ? Object.values(memory[this.tableName]) : []);
+        return memory[this.tableId] ? this.values() : (await this.addQueueTask(), memory[this.tableId] ? this.values() : []);
     };
     has(value) {
-        if (!memory[this.tableName]) throw new Error("Data not loaded! Consider using `hasSync` instead!");
-        return Boolean(memory[this.tableName][value]);
+        if (!memory[this.tableId]) throw new Error("Data not loaded! Consider using `hasSync` instead!");
+        if (this.isExpired(value)) return false;
+        return Boolean(memory[this.tableId][value]);
     };
     async hasSync(value) {
-        return memory[this.tableName] ? this.has(value) : (await this.addQueueTask(), memory[this.tableName] ? Boolean(memory[this.tableName][value]) : !1);
+        return memory[this.tableId] ? this.has(value) : (await this.addQueueTask(), memory[this.tableId] ? this.has(value) : !1);
     };
     find(value) {
-        return Object.keys(memory[this.tableName]).find(key => memory[this.tableName][key] === value);
+        return this.liveKeys().find(key => memory[this.tableId][key] === value);
     };
     findMany(value) {
-        return Object.keys(memory[this.tableName]).filter(key => memory[this.tableName][key] === value);
+        return this.liveKeys().filter(key => memory[this.tableId][key] === value);
     };
     collection() {
-        if (!memory[this.tableName]) throw new Error("Data not loaded! Consider using `collectionSync` instead!");
-        return memory[this.tableName];
+        if (!memory[this.tableId]) throw new Error("Data not loaded! Consider using `collectionSync` instead!");
+        const keys = this.liveKeys();
+        return keys.length === Object.keys(memory[this.tableId]).length ? memory[this.tableId] : Object.fromEntries(keys.map(key => [key, memory[this.tableId][key]]));
     };
     async collectionSync() {
-        return memory[this.tableName] ? this.collection() : (await this.addQueueTask(), memory[this.tableName] ? memory[this.tableName] : {});
+        return memory[this.tableId] ? this.collection() : (await this.addQueueTask(), memory[this.tableId] ? this.collection() : {});
     };
     async delete(value) {
-        if (!memory[this.tableName]) return !1;
-        let e = delete memory[this.tableName][value];
-        return await this.saveData(), e;
+        if (!memory[this.tableId]) return !1;
+        let old = memory[this.tableId][value], existed = value in memory[this.tableId], e = delete memory[this.tableId][value];
+        this.setExpiry(value);
+        if (existed) this.emit(value, old, undefined, 'delete');
+        return await this.saveData([value]), e;
     };
     async clear() {
-        memory[this.tableName] = {};
+        const old = memory[this.tableId] ?? {};
+        memory[this.tableId] = {};
+        if (Object.keys(expiries[this.tableId] ?? {}).length) expiries[this.tableId] = {}, this.saveExpiries();
+        for (const key of Object.keys(old)) this.emit(key, old[key], undefined, 'clear');
         return await this.saveData();
     };
     getKeyByValue(value) {
-        for (let e in memory[this.tableName])
-            if (memory[this.tableName][e] === value) return e;
-        return null;
+        return this.find(value) ?? null;
     };
 };
+world.afterEvents.entityRemove.subscribe(({ removedEntityId }) => BDatabase.release(removedEntityId));
 export default BDatabase;
\ No newline at end of file
@@ -0,0 +1,140 @@
+/**
+ * Item storage that keeps amounts instead of stacks, for shops and banks
+ * @module ItemBank
+ * @description Items that stack together, or unstackable items with the same data, are one variant of the bank. A sample of every variant is saved in the `banks`
+ * item table, under `<bank>:<variant>`, and the amount of each variant in Databases.bankBalances.
+ * Banks opened with a namespace use the `banks` table and the bankBalances of that namespace instead.
+ */
+import { ItemStack } from "@minecraft/server";
+import SRCItemDatabase from "./ItemDatabase";
+
+/**
+ * The options of an item bank
+ */
+export interface ItemBankOptions {
+    /**
+     * The namespace of the tables the bank is saved in, so add-ons sharing a world keep their banks apart
+     */
+    namespace?: string;
+}
+
+declare class ItemBank {
+    /**
+     * The name of the item table the samples of the variants are saved in
+     */
+    static table: string;
+    /**
+     * The item table the samples of the banks without a namespace are saved in, opened with json storage the first time it is used
+     */
+    static readonly storage: SRCItemDatabase;
+    /**
+     * This method is used to get the item table the samples of the banks of a namespace are saved in
+     * @param {String} [namespace] The namespace, the banks without one if undefined
+     */
+    static storageOf(namespace?: string): SRCItemDatabase;
+    /**
+     * The name of the bank
+     */
+    readonly name: string;
+    /**
+     * The namespace the bank is saved in
+     */
+    readonly namespace: string | undefined;
+    /**
+     * The database manager of the namespace, its bankBalances keeps the amounts of the bank
+     */
+    readonly databases: typeof import("./DBManager").Databases;
+    /**
+     * The item table the samples of the bank are saved in
+     */
+    readonly storage: SRCItemDatabase;
+    /**
+     * The samples read from the item table, by key, shared by the banks of the same namespace
+     */
+    readonly samples: Map<string, ItemStack>;
+    /**
+     * The writes of new samples that are not done yet, by key, shared by the banks of the same namespace
+     */
+    readonly writes: Map<string, Promise<boolean>>;
+    /**
+     * @param {String} name The name of the bank
+     * @param {ItemBankOptions} [options] The namespace of the bank
+     * @example const bank = new ItemBank('shop');
+     * @example const bank = new ItemBank('shop', { namespace: 'myaddon' });
+     */
+    constructor(name: string, options?: ItemBankOptions);
+    /**
+     * This method is used to get the item table key of a variant
+     */
+    key(variant: string): string;
+    /**
+     * This method is used to get the amount of every variant in the bank
+     * @returns {Record<string, number>} The amount by variant
+     */
+    balance(): Record<string, number>;
+    /**
+     * This method is used to get the amount of a variant in the bank
+     * @param {String | ItemStack} variant The variant, or an itemStack it stacks with
+     * @returns {Number} The amount, 0 if the bank has none
+     */
+    balance(variant: string | ItemStack): number;
+    setBalance(variant: string, amount: number): Promise<void | boolean>;
+    /**
+     * This method is used to get the variants in the bank
+     */
+    variants(): string[];
+    /**
+     * This method is used to get the variants whose stored item is still being saved by a deposit
+     */
+    pendingVariants(): string[];
+    /**
+     * This method is used to read the stored items of the variants of a type that are not in memory, waiting for the zone if needed
+     * @param {String} typeId The type id of the variants
+     */
+    loadSamples(typeId: string): Promise<void>;
+    /**
+     * This method is used to throw if the bank has less than an amount of a variant
+     * @returns {Number} The amount of the variant in the bank
+     */
+    checkBalance(variant: string | undefined, amount: number): number;
+    /**
+     * This method is used to get a copy of the sample of a variant, with an amount of 1
+     * @returns {ItemStack | undefined} The sample, or undefined if the variant is not in the bank
+     */
+    item(variant: string): ItemStack | undefined;
+    /**
+     * This method is used to check if an itemStack belongs to the variant of a sample
+     * @param {ItemStack} sample The sample of the variant
+     * @param {ItemStack} item The itemStack
+     * @returns {Boolean} True if the itemStack stacks with the sample, or has the same data for unstackable items
+     * @remarks Unstackable items that can't be serialized, like written books, always get a variant of their own
+     */
+    static sameItem(sample: ItemStack, item: ItemStack): boolean;
+    /**
+     * This method is used to find the variant an itemStack stacks with
+     * @param {String | ItemStack} item The itemStack, a variant is returned as is
+     * @returns {String | undefined} The variant, or undefined if no variant stacks with the itemStack
+     */
+    variantOf(item: string | ItemStack): string | undefined;
+    /**
+     * This method is used to add an itemStack to the bank
+     * @param {ItemStack} itemStack The itemStack to deposit
+     * @returns {Promise<String>} The variant the itemStack was added to
+     * @example await bank.deposit(new ItemStack('minecraft:cobblestone', 64));
+     * @remarks A variant is named after the type id of its items, followed by #1, #2... when items of the same type don't stack.
+     * Items that can't stack, like tools, are a variant each. The amount is only added once the item of a new variant is saved,
+     * and the deposit rejects if it could not be saved.
+     */
+    deposit(itemStack: ItemStack): Promise<string>;
+    /**
+     * This method is used to take items out of the bank
+     * @param {String | ItemStack} variant The variant, or an itemStack it stacks with
+     * @param {Number} amount The amount to take
+     * @returns {Promise<ItemStack[]>} The items, in stacks of the max amount of the item, with the data of the variant
+     * @example const stacks = await bank.withdraw('minecraft:cobblestone', 37);
+     * @remarks Rejects if the bank has less than the amount. A variant is removed once its amount is 0.
+     * Waits for the zone when the item of the variant is saved in a structure that was not read yet, and rejects if it can't be read.
+     */
+    withdraw(variant: string | ItemStack, amount: number): Promise<ItemStack[]>;
+}
+export default ItemBank;
@@ -0,0 +1,123 @@
+import { StructureSaveMode } from "@minecraft/server";
+import SRCItemDatabase from "./ItemDatabase.js";
+import ItemSerializer from "./ItemSerializer.js";
+import { databases } from "./DBManager.js";
+
+const storages = new Map(), samples = new Map(), writes = new Map();
+class ItemBank {
+    static table = 'banks';
+    constructor(name, { namespace } = {}) {
+        if (typeof name != 'string' || !name) throw new TypeError('An item bank needs a name.');
+        this.name = name;
+        this.namespace = namespace;
+        this.databases = databases(namespace);
+    }
+    static storageOf(namespace) {
+        if (!storages.has(namespace)) {
+            const storage = SRCItemDatabase.open(ItemBank.table, StructureSaveMode.World, { storage: 'json', namespace });
+            const stored = new Map();
+            // Deleting or clearing the table from outside drops the cached samples, like the vault slots
+            storage.onChange('*', ({ key, type }) => type !== 'set' && stored.delete(key));
+            storages.set(namespace, storage), samples.set(storage, stored), writes.set(storage, new Map());
+        }
+        return storages.get(namespace);
+    };
+    static get storage() { return ItemBank.storageOf() };
+    get storage() { return ItemBank.storageOf(this.namespace) };
+    get samples() { return samples.get(this.storage) };
+    get writes() { return writes.get(this.storage) };
+    key(variant) { return `${this.name}:${variant}` };
+    balance(variant) {
+        const balances = this.databases.bankBalances.get(this.name) ?? {};
+        return variant === undefined ? { ...balances } : balances[this.variantOf(variant)] ?? 0;
+    };
+    setBalance(variant, amount) {
+        const balances = { ...this.databases.bankBalances.get(this.name) };
+        if (amount > 0) balances[variant] = amount;
+        else delete balances[variant];
+        return Object.keys(balances).length ? this.databases.bankBalances.set(this.name, balances) : this.databases.bankBalances.delete(this.name);
+    };
+    variants() { return Object.keys(this.balance()) };
+    pendingVariants() { return [...this.writes.keys()].filter(key => key.startsWith(`${this.name}:`)).map(key => key.slice(this.name.length + 1)) };
+    item(variant) {
+        const key = this.key(variant);
+        if (!this.samples.has(key)) {
+            const item = this.storage.get(key) ?? this.storage.getAsync(key);
+            if (!item) return undefined;
+            this.samples.set(key, item);
+        }
+        return this.samples.get(key).clone();
+    };
+    static sameItem(sample, item) {
+        if (sample.maxAmount > 1) return sample.isStackableWith(item);
+        // Unstackable items never stack with each other, so their data is compared, unless part of it can't be read
+        if (!ItemSerializer.isSerializable(sample) || !ItemSerializer.isSerializable(item)) return false;
+        const data = itemStack => JSON.stringify({ ...ItemSerializer.serialize(itemStack), amount: 1 });
+        return data(sample) === data(item);
+    };
+    variantOf(item) {
+        if (typeof item == 'string') return item;
+        return [...this.variants(), ...this.pendingVariants()].find(variant => {
+            if (variant.split('#')[0] !== item.typeId) return false;
+            const sample = this.item(variant);
+            return sample !== undefined && ItemBank.sameItem(sample, item);
+        });
+    };
+    async loadSamples(typeId) {
+        const unread = this.variants().filter(variant => variant.split('#')[0] === typeId && !this.item(variant));
+        // Samples saved in structures can't be read while the zone is not loaded
+        if (unread.length) await this.storage.inZone(() => unread.forEach(variant => this.item(variant)));
+    };
+    async deposit(itemStack) {
+        if (!itemStack || itemStack.amount < 1) throw new TypeError('Only itemStacks can be deposited in an item bank.');
+        await this.loadSamples(itemStack.typeId);
+        let variant = this.variantOf(itemStack);
+        if (!variant) {
+            const used = new Set([...this.variants(), ...this.pendingVariants()]);
+            variant = itemStack.typeId;
+            for (let i = 1; used.has(variant); i++) variant = `${itemStack.typeId}#${i}`;
+            const sample = itemStack.clone(), key = this.key(variant);
+            sample.amount = 1;
+            this.samples.set(key, sample);
+            this.writes.set(key, this.storage.set(key, sample).finally(() => this.writes.delete(key)));
+        }
+        const key = this.key(variant);
+        try {
+            await this.writes.get(key);
+        } catch (e) {
+            this.samples.delete(key);
+            throw e;
+        }
+        await this.setBalance(variant, this.balance(variant) + itemStack.amount);
+        return variant;
+    };
+    checkBalance(variant, amount) {
+        const balance = variant ? this.balance(variant) : 0;
+        if (amount > balance) throw new Error(`The item bank ${this.name} only has ${balance} of ${variant ?? 'that item'}, ${amount} were asked for.`);
+        return balance;
+    };
+    async withdraw(variant, amount) {
+        if (!Number.isInteger(amount) || amount < 1) throw new RangeError(`The amount to withdraw must be a whole number above 0, got ${amount}.`);
+        if (variant && typeof variant != 'string') await this.loadSamples(variant.typeId);
+        variant = this.variantOf(variant);
+        this.checkBalance(variant, amount);
+        const sample = this.item(variant) ?? await this.storage.inZone(() => this.item(variant));
+        if (!sample) throw new Error(`The stored item of ${variant} in the item bank ${this.name} could not be read.`);
+        // Checked again, the balance can change while waiting for the zone
+        const balance = this.checkBalance(variant, amount), stacks = [];
+        for (let rest = amount; rest > 0; rest -= sample.maxAmount) {
+            const stack = sample.clone();
+            stack.amount = Math.min(rest, sample.maxAmount);
+            stacks.push(stack);
+        }
+        const debit = this.setBalance(variant, balance - amount);
+        if (amount === balance) {
+            const key = this.key(variant);
+            this.samples.delete(key);
+            await this.storage.delete(key);
+        }
+        await debit;
+        return stacks;
+    };
+}
+export default ItemBank;
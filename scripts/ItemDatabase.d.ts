@@ -10,56 +10,251 @@ import {
     ItemStack,
     StructureSaveMode,
     Dimension,
+    EquipmentSlot,
+    Player,
     Vector3
 } from "@minecraft/server";
+import { SerializedItem } from "./ItemSerializer";
+import BDatabase from "./Database";
 
 /**
- * This class is used for creating an AsyncQueue
- * @version 1.2.0
+ * This class is used for running the writes of the database across ticks
+ * @version 2.0.0
  * @class
- * @classdesc AsyncQueue allows for enqueuing and processing tasks asynchronously
- * @example const aQueue = new AsyncQueue();
- * aQueue.enqueue(() => console.log('Hello World'));
+ * @classdesc TaskScheduler runs enqueued tasks one by one inside a system.runJob
+ * @example const scheduler = new TaskScheduler();
+ * const result = await scheduler.enqueue(() => 'Hello World');
  */
-declare class AsyncQueue {
-    queue: Function[];
-    processing: boolean;
+declare class TaskScheduler {
+    queue: { callback: Function, resolve: Function, reject: Function }[];
+    /**
+    * The id of the running system job, undefined when the queue is empty
+    */
+    jobId: number | undefined;
+    /**
+    * The number of tasks waiting to run
+    */
+    readonly pending: number;
+    /**
+    * True while the system job is running
+    */
+    readonly processing: boolean;
     constructor();
     /**
     * 
-    * This method is used to enqueue an action
-    * @param {Function} callback The callback to enqueue
-    * @returns {void}
-    * @example SRCItemDatabase.enqueue(() => console.log('Hello World'))
+    * This method is used to enqueue a task
+    * @param {Function} callback The task to enqueue
+    * @returns {Promise<T>} Resolves with the result of the task, or rejects with its error
+    * @example await scheduler.enqueue(() => console.log('Hello World'))
     */
-    enqueue(callback: Function): void;
+    enqueue<T>(callback: () => T): Promise<Awaited<T>>;
     /**
      * 
-     * This method is used to dequeue an action
-     * @returns {Promise<void>}
-     * @example SRCItemDatabase.dequeue()
-     * @remarks This method is called internally
+     * This generator runs the queued tasks, yielding after each of them
+     * @remarks This method is given to system.runJob internally
+     */
+    process(): Generator<void, void, void>;
+}
+/**
+ * The metadata of a saved itemStack, kept in the query index
+ */
+export interface ItemMeta {
+    typeId: string;
+    amount: number;
+    nameTag?: string;
+    lore: string[];
+    /**
+     * The enchantment levels by enchantment id, without the minecraft: namespace
+     */
+    enchantments: Record<string, number>;
+}
+/**
+ * The fields used to find saved itemStacks with SRCItemDatabase.query
+ */
+export interface ItemQuery {
+    /**
+     * The exact type id, or a pattern it must match
+     */
+    typeId?: string | RegExp;
+    /**
+     * The exact name tag, or a pattern it must match
+     */
+    nameTag?: string | RegExp;
+    /**
+     * Text or patterns that must each be found in a lore line
+     */
+    lore?: string | RegExp | (string | RegExp)[];
+    /**
+     * The minimum level of each enchantment
+     */
+    enchantments?: Record<string, number>;
+    /**
+     * The minimum amount of the itemStack
+     */
+    minAmount?: number;
+}
+/**
+ * The event given to the onChange listeners
+ */
+export interface ItemChangeEvent {
+    key: string;
+    /**
+     * The itemStack, or itemStacks for setItems, before the change
+     */
+    oldValue: ItemStack | (ItemStack | undefined)[] | undefined;
+    /**
+     * The itemStack, or itemStacks for setItems, after the change
+     */
+    newValue: ItemStack | (ItemStack | undefined)[] | undefined;
+    type: 'set' | 'delete' | 'clear';
+}
+/**
+ * The event given to the onExpire listeners
+ */
+export interface ItemExpireEvent {
+    key: string;
+    /**
+     * The itemStack, or itemStacks for setItems, that expired
+     */
+    value: ItemStack | (ItemStack | undefined)[] | undefined;
+    /**
+     * When the key was deleted, in milliseconds
+     */
+    expiredAt: number;
+}
+/**
+ * The options of the SRCItemDatabase constructor
+ */
+export interface ItemDatabaseOptions {
+    /**
+     * 'json' saves the itemStacks as JSON in a database table, 'structure' in world structures
+     */
+    storage?: 'structure' | 'json';
+    /**
+     * Keeps the versions of a key that set, setItems or delete replace: a number of versions, true for 10, or a policy
+     */
+    history?: number | boolean | ItemHistoryPolicy;
+    /**
+     * Keeps the table apart from the tables of other add-ons: its structure ids start with `<namespace>.`,
+     * its data is saved in the tables of databases(namespace) and it gets its own zone and ticking area
+     */
+    namespace?: string;
+}
+/**
+ * How long the versions kept by the history of a table last
+ */
+export interface ItemHistoryPolicy {
+    /**
+     * The number of versions kept for each key, 10 by default
+     */
+    versions?: number;
+    /**
+     * The milliseconds after which a version is pruned
+     */
+    maxAge?: number;
+}
+/**
+ * Where the itemStacks are placed to be saved and read, given to SRCItemDatabase.configureZone
+ */
+export interface ItemZoneOptions {
+    /**
+     * The dimension, or its id, 'overworld' by default
+     */
+    dimension?: Dimension | string;
+    /**
+     * The location, rounded down to a block. A block below it and two above it must be inside the height range of the dimension
+     */
+    location?: Vector3;
+}
+/**
+ * What SRCItemDatabase.repairZone found and fixed
+ */
+export interface ItemZoneReport {
+    /**
+     * The item entities left in the zone, which were removed
+     */
+    strayItems: number;
+    /**
+     * The blocks of the zone that were not bedrock or air, which were put back
      */
-    dequeue(): Promise<void>;
+    replacedBlocks: number;
+}
+/**
+ * A version of a key, returned by SRCItemDatabase.history
+ */
+export interface ItemVersion {
+    /**
+     * The number to give to restore, counting up from 1 for each key
+     */
+    version: number;
+    /**
+     * When the version was replaced, in milliseconds
+     */
+    time: number;
+    /**
+     * The change that replaced the version
+     */
+    type: 'set' | 'delete' | 'clear';
+    /**
+     * The actor given to the change that replaced the version
+     */
+    actor?: string;
+}
+/**
+ * The result of SRCItemDatabase.verify
+ */
+export interface ItemIntegrityReport {
+    /**
+     * The name of the table
+     */
+    table: string;
+    /**
+     * True if nothing is wrong
+     */
+    ok: boolean;
+    /**
+     * True if the structureIds entry of the table is not a list
+     */
+    corrupt: boolean;
+    /**
+     * Structures saved in the world that are not in the structureIds table
+     */
+    orphaned: string[];
+    /**
+     * Structure ids in the structureIds table whose structure does not exist
+     */
+    dangling: string[];
+    /**
+     * Keys whose structure does not exist
+     */
+    missingKeys: string[];
+    /**
+     * Structure ids in the structureIds table that no key points to
+     */
+    unindexed: string[];
 }
 /**
  * This class is used for saving or getting an ItemStack from the database
  * @version 1.4.0
  * @class
  * @classdesc SRCItemDatabase allows for saving and retrieving ItemStacks in a Minecraft world using the world structure manager.
- * @remarks The default save mode is StructureSaveMode.World, and table name most be no more than 12 characters
+ * @remarks The default save mode is StructureSaveMode.World. Table names and keys can be of any length
  * @example let IManager;
- * world.afterEvents.worldInitialize.subscribe(() => system.runTimeout(() => IManager = new ItemManager('myTable'), 200));
- * IManager.save('1239483', new ItemStack('minecraft:stone', 64));
+ * world.afterEvents.worldLoad.subscribe(() => system.runTimeout(() => IManager = new ItemManager('myTable'), 200));
+ * IManager.set('1239483', new ItemStack('minecraft:stone', 64));
  * 
  * @example let IManager;
- * world.afterEvents.worldInitialize.subscribe(() => system.runTimeout(() => IManager = new ItemManager('myTable', StructureSaveMode.Memory), 200));
- * IManager.save('1239483', new ItemStack('minecraft:stone', 64));
+ * world.afterEvents.worldLoad.subscribe(() => system.runTimeout(() => IManager = new ItemManager('myTable', StructureSaveMode.Memory), 200));
+ * IManager.set('1239483', new ItemStack('minecraft:stone', 64));
  * IManager.get('1239483').typeId;
  */
 declare class SRCItemDatabase {
     /**
-    * The name of the Table of this instance
+    * The name of the Table given to the constructor
+    */
+    name: string;
+    /**
+    * The structure id prefix of this instance
     */
     table: string;
     /**
@@ -67,36 +262,285 @@ declare class SRCItemDatabase {
     */
     saveMode: StructureSaveMode;
     /**
-    * The global AsyncQueue used for queuing tasks
+    * Where the itemStacks of this instance are saved: 'structure' or 'json'
+    */
+    storage: 'structure' | 'json';
+    /**
+    * The namespace of the table, if it has one
+    */
+    namespace: string | undefined;
+    /**
+    * The database manager of the namespace, where the keys, metadata and history of the table are saved
+    */
+    databases: typeof import("./DBManager").Databases;
+    /**
+    * The location of the zone of the namespace, where the itemStacks are placed to be saved and read
+    */
+    readonly location: Vector3;
+    /**
+    * The structure id prefix of the versions kept by the history
+    */
+    historyTable: string;
+    /**
+    * The retention policy of the history, undefined when the history is off
+    */
+    historyPolicy: Required<Pick<ItemHistoryPolicy, 'versions'>> & ItemHistoryPolicy | undefined;
+    /**
+    * The global TaskScheduler used for queuing writes
     */
-    asyncQueue: AsyncQueue;
+    scheduler: TaskScheduler;
     /**
      * The location to save the itemStack
+     * @remarks Changed with configureZone
      */
     static location: Vector3;
+    /**
+     * The id of the dimension used to save the itemStack
+     * @remarks Changed with configureZone
+     */
+    static dimensionId: string;
+    /**
+     * The ticks between two checks of a zone that is not loaded yet
+     */
+    static zoneInterval: number;
+    /**
+     * The height between the items of a multi-item structure, used to keep their order
+     */
+    static slotStep: number;
+    /**
+     * The equipment slots saved by saveInventory, after the inventory container slots
+     */
+    static equipmentSlots: EquipmentSlot[];
     /**
      * The dimension used to save the itemStack
      */
-    static dimension: Dimension;
+    static readonly dimension: Dimension;
+    /**
+     * This method is used to move the zone where the itemStacks are saved
+     * @param {ItemZoneOptions} options The dimension and location of the zone, the current ones are kept if left out
+     * @example SRCItemDatabase.configureZone({ dimension: 'the_end', location: { x: 0, y: 10, z: 0 } })
+     * @remarks The ticking areas of the zones loaded before are removed, and the tables move to the new zone on their next read or write.
+     * The itemStacks saved before are kept, they are saved in structures and not in the zone.
+     */
+    static configureZone(options?: ItemZoneOptions): void;
     /**
      * 
      * @param {String} table The name of the Table to save the itemStack
      * @param {StructureSaveMode} saveMode The mode of saving: StructureSaveMode.World or StructureSaveMode.Memory
+     * @param {ItemDatabaseOptions} options storage 'json' saves the itemStacks as JSON in a database table, history keeps the replaced versions
      * @example new SRCItemDatabase('myTable', StructureSaveMode.Memory);
+     * @example new SRCItemDatabase('myTable', StructureSaveMode.World, { storage: 'json' });
+     * @example new SRCItemDatabase('myTable', StructureSaveMode.World, { history: { versions: 5, maxAge: 7 * 24 * 60 * 60 * 1000 } });
      * @remarks The default save mode is StructureSaveMode.World
      * @remarks The save mode determines where the itemStack is saved in context of the Structure save mode
+     * @remarks With json storage, itemStacks that ItemSerializer can't keep are still saved in a structure
+     */
+    constructor(table: string, saveMode?: StructureSaveMode, options?: ItemDatabaseOptions);
+    /**
+     * This method is used to get the structure namespace of a table
+     * @param {String} name The name of the table
+     * @returns {String} The name itself, or a hash of it if it is longer than 12 characters or has other characters than letters, numbers, _ or -
+     */
+    static shortName(name: string): string;
+    /**
+     * This method is used to hash a name, with FNV-1a
+     */
+    static hash(name: string): number;
+    /**
+     * This method is used to get the start of the structure ids of a table
+     * @returns {String} The short name, after the namespace and a dot if there is one
+     */
+    static tableId(name: string, namespace?: string): string;
+    /**
+     * This method is used to get the location of the zone of a namespace
+     * @returns {Vector3} SRCItemDatabase.location without a namespace, or a location a few chunks away from it on the x axis
+     */
+    static locationOf(namespace?: string): Vector3;
+    /**
+     * This method is used to keep the zone location of a namespace for it, it is called by the constructor
+     * @remarks Throws if another namespace already has a zone at the same location, since they would remove each other's items
+     */
+    static claimZone(namespace?: string): void;
+    /**
+     * This method is used to get the name of the ticking area of a namespace
+     * @returns {String} "idb", or "<namespace>_idb"
+     */
+    static zoneName(namespace?: string): string;
+    /**
+     * This method is used to get the names of the item tables
+     * @param {String} namespace The namespace of the tables
+     * @returns {String[]} The tables opened since the world loaded, and the short names of the other saved tables
+     * @remarks A short name opens the same table as its full name
+     */
+    static tableNames(namespace?: string): string[];
+    /**
+     * This method is used to delete the structures and item data of every table of a namespace, the vault and bank data of the namespace, and its ticking area
+     * @param {String} namespace The namespace, the tables without a namespace if undefined
+     * @returns {Number} The number of structures deleted
+     * @example SRCItemDatabase.clearStorage('myaddon')
+     * @remarks Only the structures recorded in the tables of the namespace are deleted, the tables of other namespaces are not touched. Open tables of the namespace are left empty, with a clear event for each of their keys.
      */
-    constructor(table: string, saveMode?: StructureSaveMode);
+    static clearStorage(namespace?: string): number;
+    /**
+     * This method is used to get the open instance of a table, or to open it
+     * @param {String} name The name of the table
+     * @param {StructureSaveMode} saveMode The save mode used if the table is not open yet
+     * @param {ItemDatabaseOptions} options The options used if the table is not open yet
+     * @returns {SRCItemDatabase}
+     * @example SRCItemDatabase.open('myTable').get('myItem')
+     */
+    static open(name: string, saveMode?: StructureSaveMode, options?: ItemDatabaseOptions): SRCItemDatabase;
     /**
     * The init method to initialize the instance
     */
     init(): Promise<void>;
     /**
-     * 
+     * This method is used to get the keys of this table saved in one of the manager tables, where every key is saved under `<table><key>`
+     * @param {BDatabase} db The manager table, like itemKeys or itemMeta
+     */
+    tableKeys(db: BDatabase): string[];
+    /**
+     * This method is used to get a copy of the key index of this table
+     * @returns {Record<string, string>} The keys of this table mapped to their structure id suffixes
+     */
+    getKeyIndex(): Record<string, string>;
+    /**
+     * This method is used to get the structure id of a key
+     * @param {String} key The key of the itemStack
+     * @returns {String | undefined} The structure id, or undefined if the key is not indexed
+     */
+    getId(key: string): string | undefined;
+    /**
+     * This method is used to get or create the structure id of a key
+     * @param {String} key The key of the itemStack
+     * @returns {String} The structure id
+     * @remarks Keys of up to 12 word characters keep their own name, longer keys get a short generated id
+     */
+    allocateId(key: string): string;
+    /**
+     * This method is used to get the structure id suffixes used by this table
+     * @remarks The set is built once and kept up to date by allocateId and releaseId, so saving a key does not read the whole index
+     */
+    usedIds(): Set<string>;
+    /**
+     * This method is used to remove a key from the key index
+     * @param {String} key The key to remove
+     */
+    releaseId(key: string): void;
+    /**
+     * This method is used to add the structures saved before the key index existed to it
+     * @remarks This method is called internally
+     */
+    migrateKeys(): void;
+    /**
+     * This method is used to add a structure id to the structureIds table
+     * @param {String} id The structure id
+     */
+    trackId(id: string): void;
+    /**
+     * This method is used to remove a structure id from the structureIds table
+     * @param {String} id The structure id
+     */
+    untrackId(id: string): void;
+    /**
+     * This method is used to get the JSON record of a key saved with json storage
+     * @param {String} key The key of the itemStack
+     * @returns {{ item?: SerializedItem, items?: (SerializedItem | null)[] } | undefined} The record, or undefined if the key is saved in a structure
+     */
+    getRecord(key: string): { item?: SerializedItem, items?: (SerializedItem | null)[] } | undefined;
+    /**
+     * This method is used to save the JSON record of a key
+     * @param {String} key The key of the itemStack
+     * @param {{ item?: SerializedItem, items?: (SerializedItem | null)[] }} record The record to save
+     */
+    setRecord(key: string, record: { item?: SerializedItem, items?: (SerializedItem | null)[] }): void;
+    /**
+     * This method is used to delete the JSON record of a key
+     * @param {String} key The key of the itemStack
+     * @returns {Boolean} True if the key had a record
+     */
+    deleteRecord(key: string): boolean;
+    /**
+     * This method is used to get the metadata of an itemStack that is kept in the query index
+     * @param {ItemStack} itemStack The itemStack to describe
+     * @returns {ItemMeta} The metadata of the itemStack
+     */
+    static describe(itemStack: ItemStack): ItemMeta;
+    /**
+     * This method is used to check the metadata of an itemStack against a query filter
+     * @param {ItemMeta} meta The metadata of the itemStack
+     * @param {ItemQuery} filter The query filter
+     * @returns {Boolean} True if the metadata matches every field of the filter
+     */
+    static matches(meta: ItemMeta, filter?: ItemQuery): boolean;
+    /**
+     * This method is used to save the metadata of the itemStacks of a key in the query index
+     * @param {String} key The key of the itemStacks
+     * @param {(ItemStack | undefined)[]} items The itemStacks saved in the key
+     * @param {Boolean} list True if the itemStacks were saved with setItems
+     * @remarks This method is called internally
+     */
+    indexItems(key: string, items: (ItemStack | undefined)[], list?: boolean): void;
+    /**
+     * This method is used to get the metadata of the itemStacks of a key from the query index
+     * @param {String} key The key of the itemStacks
+     * @returns {ItemMeta[] | undefined} The metadata of every itemStack saved in the key, or undefined if the key is not indexed
+     */
+    getMeta(key: string): ItemMeta[] | undefined;
+    /**
+     * This method is used to check if a key was saved with setItems or saveInventory, even with a single itemStack
+     * @param {String} key The key to check
+     * @returns {Boolean} True if the key holds a list of itemStacks
+     */
+    isList(key: string): boolean;
+    /**
+     * This method is used to remove a key from the query index
+     * @param {String} key The key to remove
+     * @remarks This method is called internally
+     */
+    unindexItems(key: string): void;
+    /**
+     * This method is used to find the keys of the saved itemStacks without placing their structures
+     * @param {ItemQuery} filter The fields the itemStack must match, all of them are optional
+     * @returns {String[]} The keys with at least one matching itemStack, without the expired ones
+     * @example iManager.query({ typeId: 'minecraft:netherite_sword', enchantments: { sharpness: 5 } })
+     */
+    query(filter?: ItemQuery): string[];
+    /**
+     * Resolves once the zone of the table is loaded and ready to save and read itemStacks
+     * @example await iManager.ready;
+     */
+    readonly ready: Promise<boolean>;
+    /**
+     * This method is used to check if the zone of the table is ready and its chunk is loaded
+     */
+    isZoneLoaded(): boolean;
+    /**
      * This method is used to load the zone where the itemStacks are saved
-     * @returns {Promise<void>}
+     * @returns {Promise<boolean>} Resolves once the chunk of the zone is loaded
+     * @remarks Adds the ticking area of the zone, then checks every zoneInterval ticks if its chunk is loaded.
+     * The zone is shared by the tables of a namespace, and is only loaded again if its chunk was unloaded.
+     */
+    loadZone(): Promise<boolean>;
+    /**
+     * This method is used to remove the item entities left in the zone, and to put back the bedrock and air blocks of the zone
+     * @returns {ItemZoneReport} What was found and fixed
+     * @remarks Runs when the zone is loaded
      */
-    loadZone(): Promise<void>;
+    repairZone(): ItemZoneReport;
+    /**
+     * This method is used to queue a task that needs the zone, it waits for the zone to be loaded again if it is not
+     * @param {Function} callback The task
+     * @returns {Promise<T>} Resolves with the result of the task
+     */
+    inZone<T>(callback: () => T): Promise<T>;
+    /**
+     * This method is used to read a key again once the zone is loaded, putting it in memory
+     * @param {String} key The key
+     * @param {Boolean} items If the key was saved with setItems
+     * @remarks This method is called internally by getAsync and getItems when the zone is not loaded
+     */
+    retryRead(key: string, items?: boolean): void;
     /**
      * This method is used to load the itemStacks saved in the world
      * @returns {Promise<void>}
@@ -112,29 +556,40 @@ declare class SRCItemDatabase {
      * This method is used to save an itemStack
      * @param {String} key The key of the itemStack
      * @param {ItemStack} itemStack The itemStack to save
-     * @returns {Boolean} True if the itemStack was saved successfully
-     * @remarks The key most not be more than 12 characters
+     * @param {{ ttl?: number, actor?: string }} options ttl deletes the itemStack after that many milliseconds, actor is saved in the history with the replaced version
+     * @returns {Promise<Boolean>} Resolves with true once the itemStack is saved, or rejects if it could not be saved
+     * @example iManager.set('listing', itemStack, { ttl: 60 * 60 * 1000 })
      */
-    set(key: string, itemStack: ItemStack): Promise<boolean>;
+    set(key: string, itemStack: ItemStack, options?: { ttl?: number, actor?: string }): Promise<boolean>;
     /**
      * This method is used to save many itemStacks
      * @param {Array<{ key: String, item: ItemStack }>} items The items to save in the world
-     * @returns {Boolean} True if the itemStacks were saved successfully
+     * @returns {Promise<Boolean[]>} Resolves once every itemStack is saved
      */
-    setMany(items: { key: string, item: ItemStack }[]): boolean[];
+    setMany(items: { key: string, item: ItemStack }[]): Promise<boolean[]>;
     /**
      * This method is used to get an itemStack
      * @param {String} key The key of the itemStack
      * @returns {ItemStack} The itemStack
+     * @remarks While the zone is not loaded, the itemStack in memory is returned and the key is read again once the zone is loaded.
+     * Expired keys return undefined, even before they are deleted.
      */
     getAsync(key: string): ItemStack | undefined;
+    /**
+     * This method is used to read an itemStack from its record or structure, even if its key has expired
+     * @param {String} key The key of the itemStack
+     * @returns {ItemStack} The itemStack
+     * @remarks This method is called internally, by the sweeper among others
+     */
+    readItem(key: string): ItemStack | undefined;
     /**
      * 
      * This method is for getting an itemStack only once, then it will be deleted
      * @param {String} key The key of the itemStack to get
-     * @returns {Promise<ItemStack>} The itemStack
+     * @returns {Promise<ItemStack>} Resolves with the itemStack once it is deleted
+     * @remarks Queued after the writes made before it, like delete
      */
-    getOnce(key: string): ItemStack | undefined;
+    getOnce(key: string): Promise<ItemStack | undefined>;
     /**
      * This method is used to get many itemStacks from the world
      * @param {Array<String>} keys The keys of the itemStacks
@@ -150,37 +605,130 @@ declare class SRCItemDatabase {
     /**
      * This method is used to delete an itemStack
      * @param {String} key The key of the itemStack to delete
+     * @param {{ actor?: string }} options actor is saved in the history with the deleted version
+     * @returns {Promise<Boolean>} Resolves with true if the itemStack was deleted successfully
+     * @remarks Queued with the writes, so a set made before it in the same tick is deleted too
+     */
+    delete(key: string, options?: { actor?: string }): Promise<boolean>;
+    /**
+     * This method is used to delete an itemStack and notify the change listeners
+     * @param {String} key The key of the itemStack to delete
+     * @param {'delete' | 'clear'} type The type of the change event
+     * @param {String} actor The actor saved in the history
      * @returns {Boolean} True if the itemStack was deleted successfully
+     * @remarks This method is called internally
+     */
+    deleteEntry(key: string, type: 'delete' | 'clear', actor?: string): boolean;
+    /**
+     * This method is used to listen for changes of a key, or of every key with '*'
+     * @param {String} key The key to listen to, or '*'
+     * @param {(event: ItemChangeEvent) => void} callback The function called on every change
+     * @returns {(event: ItemChangeEvent) => void} The callback, to be passed to unsubscribe
+     * @example iManager.onChange('*', ({ key, type }) => console.warn(`${key}: ${type}`))
+     * @remarks The listeners are shared by every instance of the same table
+     */
+    onChange(key: string, callback: (event: ItemChangeEvent) => void): (event: ItemChangeEvent) => void;
+    /**
+     * This method is used to stop listening for changes or expiries
+     * @param {Function} callback The callback given to onChange or onExpire
+     * @returns {Boolean} True if the callback was subscribed
+     */
+    unsubscribe(callback: ((event: ItemChangeEvent) => void) | ((event: ItemExpireEvent) => void)): boolean;
+    /**
+     * This method is used to run a function every time a key of this table expires
+     * @param {(event: ItemExpireEvent) => void} callback The function called with the expired itemStack
+     * @returns {(event: ItemExpireEvent) => void} The callback, to be passed to unsubscribe
+     * @example iManager.onExpire(({ key, value }) => returnToOwner(key, value))
+     */
+    onExpire(callback: (event: ItemExpireEvent) => void): (event: ItemExpireEvent) => void;
+    /**
+     * This method is used to check that a ttl is a positive number
+     * @param {String} key The key of the itemStack
+     * @param {Number | undefined} ttl The ttl in milliseconds
+     */
+    static checkTtl(key: string, ttl: number | undefined): void;
+    /**
+     * This method is used to set or remove the expiry of a key
+     * @param {String} key The key of the itemStack
+     * @param {Number | undefined} ttl The ttl in milliseconds, or undefined to never expire
+     * @param {Boolean} items True if the key was saved with setItems
+     * @remarks This method is called internally
+     */
+    setExpiry(key: string, ttl: number | undefined, items?: boolean): void;
+    /**
+     * This method is used to get the time left before a key expires
+     * @param {String} key The key of the itemStack
+     * @returns {Number | undefined} The milliseconds left, or undefined if the key does not expire
+     */
+    ttl(key: string): number | undefined;
+    /**
+     * This method is used to check if a key has expired, even if it was not deleted yet
+     * @param {String} key The key of the itemStack
+     * @returns {Boolean} True if the key has expired
+     */
+    isExpired(key: string): boolean;
+    /**
+     * This method is used to start the system.runInterval that deletes the expired keys
      */
-    delete(key: string): boolean;
+    static startSweeper(): void;
+    /**
+     * This method is used to delete the expired keys of every table
+     * @remarks This method is called internally every 20 ticks. The keys are deleted once the item zone is loaded,
+     * and a key that fails to be deleted is logged and tried again on the next sweep.
+     */
+    static sweep(): void;
+    /**
+     * This method is used to notify the change listeners of this table
+     * @remarks This method is called internally
+     */
+    emit(key: string, oldValue: ItemStack | (ItemStack | undefined)[] | undefined, newValue: ItemStack | (ItemStack | undefined)[] | undefined, type: 'set' | 'delete' | 'clear'): void;
     /**
      * This method is used to delete many itemStacks
      * @param {Array<String>} keys The keys of the itemStacks to delete
-     * @returns {void}
+     * @returns {Promise<Boolean[]>} Resolves once every itemStack is deleted
      */
-    deleteMany(keys: string[]): void;
+    deleteMany(keys: string[]): Promise<boolean[]>;
     /**
      * This method is used to delete all itemStacks saved in the world
-     * @returns {Boolean} True if all itemStacks were deleted successfully
+     * @param {{ actor?: string }} options actor is saved in the history with the deleted versions
+     * @returns {Promise<Boolean>} Resolves with true once all itemStacks are deleted
      */
-    clear(): boolean;
+    clear(options?: { actor?: string }): Promise<boolean>;
     /**
      * This method is used to check if an itemStack exists in the memory
      * @param {String} key The key of the itemStack to check
-     * @returns {Boolean} True if the itemStack exists in the memory
+     * @returns {Boolean} True if the itemStack exists in the memory and its key has not expired
      */
     has(key: string): boolean;
     /**
      * This method is used to check if an itemStack exists
      * @param {String} key The key of the itemStack
-     * @returns {Boolean} True if the itemStack exists
+     * @returns {Boolean} True if the itemStack exists and its key has not expired
      */
     hasAsync(key: string): boolean;
+    /**
+     * This method is used to compare the structure index of this table with the structures saved in the world
+     * @returns {ItemIntegrityReport} What is wrong with the index, nothing is changed
+     * @example if (!iManager.verify().ok) iManager.repair();
+     */
+    verify(): ItemIntegrityReport;
+    /**
+     * This method is used to rebuild the structure index and the key index of this table
+     * @param {{ deleteOrphans?: boolean }} options deleteOrphans deletes the orphaned structures instead of adding them to the table
+     * @returns {ItemIntegrityReport} The report of verify, from before the repair
+     * @remarks Keys without a structure are deleted, orphaned structures are added under their own structure id as key
+     */
+    repair(options?: { deleteOrphans?: boolean }): ItemIntegrityReport;
     /**
      * This method is used to get all itemStack ids saved in the world
-     * @returns {String[]} All itemStack ids saved in the world
+     * @returns {String[]} All itemStack ids saved in the world, without the expired ones
      */
     getAllKeys(): string[];
+    /**
+     * This method is used to get all keys of this table, the expired ones that were not deleted yet included
+     * @remarks This method is called internally
+     */
+    storedKeys(): string[];
     /**
      * This method is used to get all itemStacks saved in the memory
      * @returns {ItemStack[]} All itemStacks saved in the memory
@@ -197,20 +745,88 @@ declare class SRCItemDatabase {
      * 
      * This method is used to save an many itemStacks in a single key
      * @param {String} key 
-     * @param {ItemStack[]} items 
-     * @returns {void}
+     * @param {(ItemStack | undefined)[]} items 
+     * @param {{ ttl?: number, actor?: string }} options ttl deletes the itemStacks after that many milliseconds, actor is saved in the history with the replaced version
+     * @returns {Promise<Boolean>} Resolves with true once the itemStacks are saved
      * @example iManager.setItems('myItems', [new ItemStack('minecraft:stone', 64), new ItemStack('minecraft:diamond', 32)])
-     * @remarks This method may have errors.
+     * @remarks The index of every itemStack is kept, empty entries are skipped. At most 1023 items can be saved in a key.
      */
-    setItems(key: string, items: ItemStack[]): void;
+    setItems(key: string, items: (ItemStack | undefined)[], options?: { ttl?: number, actor?: string }): Promise<boolean>;
     /**
      * 
      * This method is used to get many itemStacks saved in a single key
      * @param {String} key The key of the itemStacks 
-     * @returns {ItemStack[]} The itemStacks
+     * @returns {ItemStack[]} The itemStacks at the index they were saved with
      * @example iManager.getItems('myItems')
-     * @remarks This method may have errors.
+     * @remarks Items saved before their order was kept are appended at the end.
+     * While the zone is not loaded, the itemStacks in memory are returned and the key is read again once the zone is loaded.
+     * Expired keys return an empty array, even before they are deleted.
+     */
+    getItems(key: string): (ItemStack | undefined)[];
+    /**
+     * This method is used to read the itemStacks saved in a key, even if the key has expired
+     * @param {String} key The key of the itemStacks
+     * @remarks This method is called internally, by the sweeper among others
+     */
+    readItems(key: string): (ItemStack | undefined)[];
+    /**
+     * This method is used to read the itemStacks of a structure, at the index they were saved with
+     * @param {String} id The structure id
+     * @remarks This method is called internally, and throws if the zone is not loaded
+     */
+    readStructure(id: string): (ItemStack | undefined)[];
+    /**
+     * This method is used to check the history option of the constructor
+     * @returns The policy, or undefined when the history is off
+     */
+    static historyPolicy(history: ItemDatabaseOptions['history']): SRCItemDatabase['historyPolicy'];
+    /**
+     * This method is used to keep the current value of a key in the history, before it is replaced or deleted
+     * @remarks This method is called internally, and does nothing when the history is off
+     */
+    snapshot(key: string, type: 'set' | 'delete' | 'clear', actor?: string): void;
+    /**
+     * This method is used to get the versions of a key kept by the history
+     * @param {String} key The key
+     * @returns {ItemVersion[]} The versions, newest first
+     * @example iManager.history('sword')
+     */
+    history(key: string): ItemVersion[];
+    /**
+     * This method is used to save a version of a key back
+     * @param {String} key The key
+     * @param {Number} version The version number given by history
+     * @param {{ actor?: string }} options actor is saved in the history with the version being replaced
+     * @returns {Promise<Boolean>} Resolves with true once the version is saved
+     * @example await iManager.restore('sword', iManager.history('sword')[0].version, { actor: player.name })
+     * @remarks The current value is kept in the history too, so a restore can be undone
+     */
+    restore(key: string, version: number, options?: { actor?: string }): Promise<boolean>;
+    /**
+     * This method is used to delete the versions past the retention policy of the table
+     * @returns {Number} The number of versions deleted
+     * @remarks Versions are also pruned when the table is created and when a key gets a new version
+     */
+    pruneHistory(): number;
+    /**
+     * 
+     * This method is used to save the inventory, armor and offhand of a player in a single key
+     * @param {String} key The key to save the inventory in
+     * @param {Player} player The player to save the inventory of
+     * @returns {Promise<Boolean>} Resolves with true once the inventory is saved
+     * @example iManager.saveInventory(`death:${player.id}`, player)
+     */
+    saveInventory(key: string, player: Player): Promise<boolean>;
+    /**
+     * 
+     * This method is used to give back an inventory saved with saveInventory
+     * @param {String} key The key the inventory was saved in
+     * @param {Player} player The player to give the inventory to
+     * @param {{ mode?: 'replace' | 'merge' }} options replace clears the current inventory first, merge keeps it
+     * @returns {Boolean} True if an inventory was found and restored
+     * @example iManager.restoreInventory(`death:${player.id}`, player, { mode: 'merge' })
+     * @remarks In merge mode, items whose slot is taken are added to the inventory, and dropped at the player if it is full.
      */
-    getItems(key: string): ItemStack[];
+    restoreInventory(key: string, player: Player, options?: { mode?: 'replace' | 'merge' }): boolean;
 }
 export default SRCItemDatabase;
\ No newline at end of file
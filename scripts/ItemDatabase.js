@@ -1,111 +1,303 @@
 import {
     BlockVolume,
     EntityItemComponent,
+    EquipmentSlot,
     StructureSaveMode,
+    system,
     world
 } from "@minecraft/server";
-import { Vector } from '../Vector.js';
-import { Databases } from "./DBManager.js";
+import { Vector } from './lib/Vector.js';
+import { databases } from "./DBManager.js";
+import { ChangeEmitter } from "./lib/ChangeEmitter.js";
+import ItemSerializer from "./ItemSerializer.js";
+import { TaskScheduler } from "./lib/TaskScheduler.js";
 
-class AsyncQueue {
-    constructor() {
-        this.queue = [];
-        this.processing = false;
-    }
-    enqueue(callback) {
-        this.queue.push(callback);
-        if (!this.processing) {
-            this.dequeue();
-        }
-    }
-    async dequeue() {
-        if (this.processing || this.queue.length === 0) return;
-        this.processing = true;
-        const task = this.queue.shift();
-        try {
-            await task();
-        } catch (e) {
-            console.error('Error processing task:', e);
-        } finally {
-            this.processing = false;
-            if (this.queue.length > 0) this.dequeue();
-        }
-    } 
-}
-let globalAsyncQueue, itemMemory
+let globalScheduler, itemMemory, usedIds, sweeper
+const changes = new ChangeEmitter(), expirations = new ChangeEmitter(), tables = new Map(), zones = new Map(), zoneOwners = new Map(), pendingReads = new Set(), pendingSweeps = new Set();
 world.afterEvents.worldLoad.subscribe(() => {
-    globalAsyncQueue = new AsyncQueue(), itemMemory = new Map();
+    globalScheduler = new TaskScheduler(), itemMemory = new Map(), usedIds = new Map();
 });
 class SRCItemDatabase {
-    constructor(table, saveMode = StructureSaveMode.World) {
-        SRCItemDatabase.dimension = world.getDimension('overworld');
-        this.table = table + '_item:';
+    constructor(table, saveMode = StructureSaveMode.World, { storage = 'structure', history, namespace } = {}) {
+        if (storage !== 'structure' && storage !== 'json')
+            throw new Error(`Invalid storage mode "${storage}", expected "structure" or "json".`);
+        this.name = table;
+        this.namespace = namespace;
+        this.databases = databases(namespace);
+        this.table = SRCItemDatabase.tableId(table, namespace) + '_item:';
+        this.historyTable = SRCItemDatabase.tableId(table, namespace) + '_hist:';
         this.saveMode = saveMode;
-        this.asyncQueue = globalAsyncQueue;
+        this.storage = storage;
+        this.historyPolicy = SRCItemDatabase.historyPolicy(history);
+        this.scheduler = globalScheduler;
+        SRCItemDatabase.claimZone(namespace);
+        tables.set(this.table, this);
         this.init();
     }
     static location = new Vector(1000000, -50, 1000000);
+    static dimensionId = 'overworld';
+    static zoneInterval = 5;
+    static get dimension() { return world.getDimension(SRCItemDatabase.dimensionId) };
+    static configureZone({ dimension = SRCItemDatabase.dimensionId, location = SRCItemDatabase.location } = {}) {
+        const id = typeof dimension == 'string' ? dimension : dimension?.id;
+        if (typeof id != 'string' || !id) throw new Error(`Invalid zone dimension "${dimension}", expected a dimension or a dimension id.`);
+        if (![location?.x, location?.y, location?.z].every(Number.isFinite)) throw new Error(`Invalid zone location ${JSON.stringify(location)}, expected x, y and z numbers.`);
+        for (const [name, zone] of zones) {
+            try {
+                zone.dimension.runCommand(`tickingarea remove "${name}"`);
+            } catch {
+                // Fails when the ticking area was removed by hand, the zone is moved anyway
+            }
+        }
+        zones.clear(), zoneOwners.clear();
+        SRCItemDatabase.dimensionId = id;
+        SRCItemDatabase.location = new Vector(Math.floor(location.x), Math.floor(location.y), Math.floor(location.z));
+    }
+    static slotStep = 1 / 1024;
+    static equipmentSlots = [EquipmentSlot.Head, EquipmentSlot.Chest, EquipmentSlot.Legs, EquipmentSlot.Feet, EquipmentSlot.Offhand];
+    static hash(name) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < name.length; i++) hash = Math.imul(hash ^ name.charCodeAt(i), 0x01000193);
+        return hash >>> 0;
+    }
+    static shortName(name) {
+        // Names with a dot or a colon are hashed too, they could pass for a namespace or the end of the table id
+        return /^[\w-]{1,12}$/.test(name) ? name : 't' + SRCItemDatabase.hash(name).toString(36);
+    }
+    static tableId(name, namespace) { return (namespace === undefined ? '' : namespace + '.') + SRCItemDatabase.shortName(name) };
+    static locationOf(namespace) {
+        if (namespace === undefined) return SRCItemDatabase.location;
+        const offset = (SRCItemDatabase.hash(namespace) % 1024 + 1) * 16;
+        return new Vector(SRCItemDatabase.location.x + offset, SRCItemDatabase.location.y, SRCItemDatabase.location.z);
+    }
+    static claimZone(namespace) {
+        const { x, y, z } = SRCItemDatabase.locationOf(namespace), at = `${x} ${y} ${z}`;
+        // The location comes from a hash of the namespace, two namespaces sharing it would remove each other's items while repairing the zone
+        if (zoneOwners.has(at) && zoneOwners.get(at) !== namespace)
+            throw new Error(`The namespaces "${zoneOwners.get(at)}" and "${namespace}" would share the item zone at ${at}, rename one of them.`);
+        zoneOwners.set(at, namespace);
+    }
+    static zoneName(namespace) { return namespace === undefined ? 'idb' : `${namespace}_idb` };
+    get location() { return SRCItemDatabase.locationOf(this.namespace) };
+    static tableNames(namespace) {
+        const names = new Set([...tables.values()].filter(db => db.namespace === namespace).map(db => db.name)), prefix = namespace === undefined ? '' : namespace + '.';
+        for (const id of databases(namespace).itemKeys.keys()) {
+            const table = /^.*?_item:/.exec(id)?.[0];
+            if (table && !tables.has(table)) names.add(table.slice(prefix.length, -'_item:'.length));
+        }
+        return [...names];
+    }
+    static open(name, saveMode, options) { return tables.get(SRCItemDatabase.tableId(name, options?.namespace) + '_item:') ?? new SRCItemDatabase(name, saveMode, options) };
     async init() {
-        const table = this.table.split('_')[0];
-        if (table.length > 12)
-            throw new Error(`Initialization Error for table: "${table}": The provided table name can't be more than 12 characters. Length: ${table.length}.`);
+        if (Object.keys(this.databases.itemExpiry.get(this.table) ?? {}).length) SRCItemDatabase.startSweeper();
+        if (this.historyPolicy?.maxAge !== undefined) this.pruneHistory();
         await this.load();
     }
-    async loadZone() {
-        const loc = SRCItemDatabase.location,
-            min = { x: loc.x - 1, y: loc.y - 1, z: loc.z - 1 }, max = { x: loc.x + 1, y: loc.y + 1, z: loc.z + 1 },
-            airMin = { x: loc.x, y: loc.y, z: loc.z }, airMax = { x: loc.x, y: loc.y + 2, z: loc.z },
-            volume = new BlockVolume(min, max), volume2 = new BlockVolume(airMin, airMax);
-        SRCItemDatabase.dimension.runCommand(`tickingarea add circle ${loc.x} ${loc.y} ${loc.z} 2 "idb" true`);
-        SRCItemDatabase.dimension.fillBlocks(volume, 'minecraft:bedrock', { ignoreChunkBoundErrors: true });
-        SRCItemDatabase.dimension.fillBlocks(volume2, 'minecraft:air', { ignoreChunkBoundErrors: true });
+    tableKeys(db) { return db.keys().filter(id => id.startsWith(this.table)).map(id => id.slice(this.table.length)) };
+    getKeyIndex() { return Object.fromEntries(this.storedKeys().map(key => [key, this.databases.itemKeys.get(this.table + key)])) };
+    getId(key) {
+        const id = this.databases.itemKeys.get(this.table + key);
+        return id === undefined ? undefined : this.table + id;
+    };
+    usedIds() {
+        if (!usedIds.has(this.table)) usedIds.set(this.table, new Set(Object.values(this.getKeyIndex())));
+        return usedIds.get(this.table);
+    };
+    allocateId(key) {
+        const existing = this.getId(key);
+        if (existing) return existing;
+        const used = this.usedIds();
+        let id = key;
+        if (!/^[\w.-]{1,12}$/.test(id) || used.has(id)) {
+            let n = used.size;
+            do id = '_' + (n++).toString(36); while (used.has(id));
+        }
+        used.add(id);
+        this.databases.itemKeys.set(this.table + key, id);
+        return this.table + id;
+    };
+    releaseId(key) {
+        const id = this.databases.itemKeys.get(this.table + key);
+        if (id === undefined) return;
+        this.usedIds().delete(id);
+        this.databases.itemKeys.delete(this.table + key);
+    };
+    migrateKeys() {
+        const index = this.getKeyIndex(), used = this.usedIds();
+        for (const id of Array.from(this.databases.structureIds.get(this.table) ?? [])) {
+            if (!id.startsWith(this.table)) continue;
+            const key = id.slice(this.table.length);
+            if (used.has(key) || index[key] !== undefined) continue;
+            index[key] = key, used.add(key);
+            this.databases.itemKeys.set(this.table + key, key);
+        }
+    };
+    trackId(id) {
+        const structureIds = Array.from(this.databases.structureIds.get(this.table) ?? []).filter(i => i !== id);
+        structureIds.push(id);
+        this.databases.structureIds.set(this.table, structureIds);
+    };
+    untrackId(id) {
+        this.databases.structureIds.set(this.table, Array.from(this.databases.structureIds.get(this.table) ?? []).filter(i => i !== id));
+    };
+    getRecord(key) { return this.databases.itemData.get(this.table + key) };
+    setRecord(key, record) { this.databases.itemData.set(this.table + key, record) };
+    deleteRecord(key) {
+        if (!this.databases.itemData.has(this.table + key)) return false;
+        this.databases.itemData.delete(this.table + key);
+        return true;
+    };
+    static describe(itemStack) {
+        const enchantments = itemStack.getComponent('minecraft:enchantable')?.getEnchantments() ?? [];
+        return {
+            typeId: itemStack.typeId,
+            amount: itemStack.amount,
+            nameTag: itemStack.nameTag,
+            lore: itemStack.getLore(),
+            enchantments: Object.fromEntries(enchantments.map(({ type, level }) => [type.id.replace('minecraft:', ''), level]))
+        };
+    };
+    static matches(meta, { typeId, nameTag, lore, enchantments, minAmount } = {}) {
+        const test = (pattern, value) => pattern instanceof RegExp ? pattern.test(value ?? '') : pattern === value;
+        if (typeId !== undefined && !test(typeId, meta.typeId)) return false;
+        if (nameTag !== undefined && !test(nameTag, meta.nameTag)) return false;
+        if (minAmount !== undefined && meta.amount < minAmount) return false;
+        if (lore !== undefined && ![].concat(lore).every(pattern => meta.lore.some(line => pattern instanceof RegExp ? pattern.test(line) : line.includes(pattern)))) return false;
+        if (enchantments !== undefined && !Object.entries(enchantments).every(([id, level]) => (meta.enchantments[id.replace('minecraft:', '')] ?? 0) >= level)) return false;
+        return true;
+    };
+    getMeta(key) { return this.databases.itemMeta.get(this.table + key)?.meta };
+    isList(key) { return Boolean(this.databases.itemMeta.get(this.table + key)?.items || this.getRecord(key)?.items) };
+    indexItems(key, items, list = false) {
+        // Saved with the metadata, a list of one item is otherwise read back as a single itemStack after a restart
+        const meta = items.filter(Boolean).map(item => SRCItemDatabase.describe(item));
+        this.databases.itemMeta.set(this.table + key, list ? { meta, items: true } : { meta });
+    };
+    unindexItems(key) {
+        if (this.databases.itemMeta.has(this.table + key)) this.databases.itemMeta.delete(this.table + key);
+    };
+    query(filter = {}) { return this.tableKeys(this.databases.itemMeta).filter(key => !this.isExpired(key) && this.getMeta(key).some(meta => SRCItemDatabase.matches(meta, filter))) };
+    get ready() { return this.loadZone() };
+    isZoneLoaded() {
+        if (!zones.get(SRCItemDatabase.zoneName(this.namespace))?.loaded) return false;
+        try {
+            return SRCItemDatabase.dimension.getBlock(this.location) !== undefined;
+        } catch {
+            return false;
+        }
+    };
+    loadZone() {
+        const name = SRCItemDatabase.zoneName(this.namespace), existing = zones.get(name);
+        if (existing && (!existing.loaded || this.isZoneLoaded())) return existing.promise;
+        const loc = this.location, dimension = SRCItemDatabase.dimension, zone = { dimension, loaded: false };
+        try {
+            dimension.runCommand(`tickingarea add circle ${loc.x} ${loc.y} ${loc.z} 2 "${name}" true`);
+        } catch {
+            // Fails when the ticking area is already there and the chunk was unloaded another way
+        }
+        zone.promise = new Promise(resolve => {
+            const open = () => {
+                try {
+                    if (!dimension.getBlock(loc)) return false;
+                } catch {
+                    return false;
+                }
+                zone.loaded = true;
+                this.repairZone();
+                resolve(true);
+                return true;
+            };
+            if (open()) return;
+            const run = system.runInterval(() => (zones.get(name) !== zone || open()) && system.clearRun(run), SRCItemDatabase.zoneInterval);
+        });
+        zones.set(name, zone);
+        return zone.promise;
+    };
+    repairZone() {
+        const loc = this.location, dimension = SRCItemDatabase.dimension, report = { strayItems: 0, replacedBlocks: 0 };
+        for (const item of dimension.getEntities({ type: 'minecraft:item', location: loc, maxDistance: 3 })) item.remove(), report.strayItems++;
+        for (let x = -1; x <= 1; x++) for (let y = -1; y <= 2; y++) for (let z = -1; z <= 1; z++) {
+            const hole = x === 0 && z === 0 && y >= 0;
+            if (y === 2 && !hole) continue;
+            const block = dimension.getBlock({ x: loc.x + x, y: loc.y + y, z: loc.z + z });
+            if (block && block.typeId !== (hole ? 'minecraft:air' : 'minecraft:bedrock')) report.replacedBlocks++;
+        }
+        if (report.replacedBlocks) {
+            dimension.fillBlocks(new BlockVolume({ x: loc.x - 1, y: loc.y - 1, z: loc.z - 1 }, { x: loc.x + 1, y: loc.y + 1, z: loc.z + 1 }), 'minecraft:bedrock', { ignoreChunkBoundErrors: true });
+            dimension.fillBlocks(new BlockVolume(loc, { x: loc.x, y: loc.y + 2, z: loc.z }), 'minecraft:air', { ignoreChunkBoundErrors: true });
+        }
+        return report;
+    };
+    inZone(callback) {
+        return this.scheduler.enqueue(() => this.isZoneLoaded() ? callback() : this.loadZone().then(() => this.inZone(callback)));
+    };
+    retryRead(key, items = false) {
+        if (pendingReads.has(this.table + key)) return;
+        pendingReads.add(this.table + key);
+        this.inZone(() => {
+            pendingReads.delete(this.table + key);
+            const id = this.getId(key), value = id && (items ? this.readItems(key) : this.readItem(key));
+            if (value) itemMemory.set(id, value);
+        }).catch(e => console.warn(e + e.stack));
     };
     async load() {
+        this.migrateKeys();
         await this.loadZone();
-        await this.asyncQueue.enqueue(async () => {
-            const keys = this.getAllKeys();
+        await this.inZone(() => {
+            const keys = this.storedKeys();
             if (keys.length === 0) return;
             for (const key of keys) {
-                const item = this.getAsync(key);
-                if (item) itemMemory.set(this.table + key, item);
+                const list = this.isList(key), item = list ? this.readItems(key) : this.readItem(key);
+                if (!item) continue;
+                itemMemory.set(this.getId(key), item);
+                if (!this.getMeta(key)) this.indexItems(key, [].concat(item), list);
             }
         });
     }
     get(key) {
-        const item = itemMemory.get(this.table + key);
+        if (this.isExpired(key)) return undefined;
+        const item = itemMemory.get(this.getId(key));
         return item ? item : undefined;
     };
-    async set(key, itemStack) {
-        if (key.length > 12)
-            throw new Error(`The provided key "${key}" exceeds the maximum allowed length of 12 characters (actual length: ${key.length}).`);
-        let success = false;
-        this.asyncQueue.enqueue(() => {
-            const newId = this.table + key, existingStructure = world.structureManager.get(newId), location = SRCItemDatabase.location;
+    async set(key, itemStack, { ttl, actor } = {}) {
+        SRCItemDatabase.checkTtl(key, ttl);
+        return this.inZone(() => {
+            this.snapshot(key, 'set', actor);
+            const newId = this.allocateId(key), existingStructure = world.structureManager.get(newId), location = this.location, oldValue = itemMemory.get(newId);
             if (existingStructure) {
                 world.structureManager.delete(newId);
                 itemMemory.delete(newId)
-                const structureIds = Array.from(Databases.structureIds.get(this.table) ?? []);
-                Databases.structureIds.set(this.table, structureIds.filter(id => id !== newId));
+                this.untrackId(newId);
             };
-            const newItem = SRCItemDatabase.dimension.spawnItem(itemStack, { x: location.x + 0.5, y: location.y, z: location.z + 0.5 });
-            world.structureManager.createFromWorld(newId, SRCItemDatabase.dimension, location, location, {
-                includeEntities: true,
-                includeBlocks: false,
-                saveMode: this.saveMode
-            });
-            itemMemory.set(newId, newItem.getComponent(EntityItemComponent.componentId).itemStack);
-            newItem.remove();
-            const structureIds = Array.from(Databases.structureIds.get(this.table) ?? []);
-            structureIds.push(newId);
-            Databases.structureIds.set(this.table, structureIds);
-            success = true;
+            this.deleteRecord(key);
+            if (this.storage === 'json' && ItemSerializer.isSerializable(itemStack)) {
+                this.setRecord(key, { item: ItemSerializer.serialize(itemStack) });
+                itemMemory.set(newId, itemStack.clone());
+            } else {
+                const newItem = SRCItemDatabase.dimension.spawnItem(itemStack, { x: location.x + 0.5, y: location.y, z: location.z + 0.5 });
+                world.structureManager.createFromWorld(newId, SRCItemDatabase.dimension, location, location, {
+                    includeEntities: true,
+                    includeBlocks: false,
+                    saveMode: this.saveMode
+                });
+                itemMemory.set(newId, newItem.getComponent(EntityItemComponent.componentId).itemStack);
+                newItem.remove();
+                this.trackId(newId);
+            }
+            this.indexItems(key, [itemStack]);
+            this.setExpiry(key, ttl);
+            this.emit(key, oldValue, itemMemory.get(newId), 'set');
+            return true;
         });
-        return success;
     };
-    setMany(items) { return items.map(item => this.set(item.key, item.item)) };
-    getAsync(key) {
-        const newId = this.table + key, location = SRCItemDatabase.location, structure = world.structureManager.get(newId);
+    setMany(items) { return Promise.all(items.map(item => this.set(item.key, item.item))) };
+    getAsync(key) { return this.isExpired(key) ? undefined : this.readItem(key) };
+    readItem(key) {
+        const record = this.getRecord(key);
+        if (record) return ItemSerializer.deserialize(record.item ?? record.items.find(Boolean));
+        const newId = this.getId(key), location = this.location, structure = newId && world.structureManager.get(newId);
         if (!structure) return undefined;
+        if (!this.isZoneLoaded()) return this.retryRead(key), itemMemory.get(newId);
         SRCItemDatabase.dimension.getEntities({ type: 'minecraft:item', location: location, maxDistance: 3 }).forEach(item => item.remove());
         world.structureManager.place(newId, SRCItemDatabase.dimension, location, { includeBlocks: false, includeEntities: true });
         const item = SRCItemDatabase.dimension.getEntities({ closest: 1, type: 'minecraft:item', location: location, maxDistance: 3 })[0];
@@ -115,75 +307,339 @@ class SRCItemDatabase {
         return itemStack;
     };
     getOnce(key) {
-        const item = this.get(key);
-        this.delete(key);
-        return item;
+        return this.inZone(() => {
+            const item = this.get(key);
+            this.deleteEntry(key, 'delete');
+            return item;
+        });
     };
     getManyAsync(keys) { return keys.map(key => this.getAsync(key)) };
     getMany(keys) { return keys.map(key => this.get(key)) };
-    delete(key) {
-        itemMemory.delete(this.table + key);
-        Databases.structureIds.set(this.table, Array.from(Databases.structureIds.get(this.table) ?? []).filter(id => id !== this.table + key));
-        return world.structureManager.delete(this.table + key);
-    };
-    deleteMany(keys) { return keys.forEach(key => this.delete(key)) };
-    clear() {
-        this.getAllKeys().forEach(key => this.delete(key));
-        return true;
+    delete(key, { actor } = {}) { return this.inZone(() => this.deleteEntry(key, 'delete', actor)) };
+    deleteEntry(key, type, actor) {
+        const id = this.getId(key);
+        if (!id) return false;
+        this.snapshot(key, type, actor);
+        const oldValue = itemMemory.get(id);
+        itemMemory.delete(id);
+        this.untrackId(id);
+        this.releaseId(key);
+        this.unindexItems(key);
+        this.setExpiry(key);
+        const stored = this.deleteRecord(key), deleted = world.structureManager.delete(id) || stored;
+        this.emit(key, oldValue, undefined, type);
+        return deleted;
+    };
+    deleteMany(keys) { return Promise.all(keys.map(key => this.delete(key))) };
+    clear({ actor } = {}) {
+        return this.inZone(() => {
+            this.storedKeys().forEach(key => this.deleteEntry(key, 'clear', actor));
+            return true;
+        });
+    };
+    onChange(key, callback) { return changes.subscribe(this.table, key, callback) };
+    unsubscribe(callback) { return [changes, expirations].map(emitter => emitter.unsubscribe(this.table, callback)).some(Boolean) };
+    onExpire(callback) { return expirations.subscribe(this.table, '*', callback) };
+    static checkTtl(key, ttl) {
+        if (ttl !== undefined && (typeof ttl != 'number' || !(ttl > 0))) throw new Error(`The ttl of "${key}" must be a positive number of milliseconds.`);
+    };
+    setExpiry(key, ttl, items = false) {
+        const expiry = { ...(this.databases.itemExpiry.get(this.table) ?? {}) };
+        if (ttl === undefined) {
+            if (!(key in expiry)) return;
+            delete expiry[key];
+        } else {
+            expiry[key] = items ? { expires: Date.now() + ttl, items } : { expires: Date.now() + ttl };
+            SRCItemDatabase.startSweeper();
+        }
+        this.databases.itemExpiry.set(this.table, expiry);
+    };
+    ttl(key) {
+        const entry = (this.databases.itemExpiry.get(this.table) ?? {})[key];
+        return entry ? Math.max(entry.expires - Date.now(), 0) : undefined;
+    };
+    isExpired(key) {
+        const entry = (this.databases.itemExpiry.get(this.table) ?? {})[key];
+        return Boolean(entry && entry.expires <= Date.now());
+    };
+    static startSweeper() {
+        sweeper ??= system.runInterval(() => SRCItemDatabase.sweep(), 20);
+    };
+    static sweep() {
+        const now = Date.now();
+        for (const db of tables.values()) {
+            const expiry = db.databases.itemExpiry.get(db.table) ?? {};
+            for (const key of Object.keys(expiry)) {
+                if (expiry[key].expires > now || pendingSweeps.has(db.table + key)) continue;
+                pendingSweeps.add(db.table + key);
+                // The history snapshot and the delete read the structure, so they wait for the zone like any write
+                db.inZone(() => {
+                    if (!db.isExpired(key)) return;
+                    let value;
+                    try {
+                        value = expiry[key].items ? db.readItems(key) : itemMemory.get(db.getId(key)) ?? db.readItem(key);
+                    } catch (e) {
+                        console.warn(e + e.stack);
+                    }
+                    db.deleteEntry(key, 'delete');
+                    expirations.emit(db.table, { key, value, expiredAt: now });
+                }).catch(e => console.warn(e + e.stack)).finally(() => pendingSweeps.delete(db.table + key));
+            }
+        }
+    };
+    emit(key, oldValue, newValue, type) { changes.emit(this.table, { key, oldValue, newValue, type }) };
+    has(key) { return !this.isExpired(key) && itemMemory.has(this.getId(key)) };
+    hasAsync(key) {
+        if (this.isExpired(key)) return false;
+        const id = this.getId(key);
+        return Boolean(this.getRecord(key) || (id && world.structureManager.get(id)));
+    };
+    verify() {
+        const tracked = this.databases.structureIds.get(this.table), corrupt = tracked !== undefined && !Array.isArray(tracked),
+            trackedIds = new Set(Array.isArray(tracked) ? tracked : []), index = this.getKeyIndex(),
+            indexedIds = new Set(Object.values(index).map(id => this.table + id)),
+            worldIds = world.structureManager.getWorldStructureIds().filter(id => id.startsWith(this.table));
+        const orphaned = worldIds.filter(id => !trackedIds.has(id)),
+            dangling = [...trackedIds].filter(id => !world.structureManager.get(id)),
+            missingKeys = Object.keys(index).filter(key => !this.getRecord(key) && !world.structureManager.get(this.table + index[key])),
+            unindexed = [...trackedIds].filter(id => !indexedIds.has(id) && world.structureManager.get(id));
+        return { table: this.name, ok: !corrupt && !orphaned.length && !dangling.length && !missingKeys.length && !unindexed.length, corrupt, orphaned, dangling, missingKeys, unindexed };
+    };
+    repair({ deleteOrphans = false } = {}) {
+        const report = this.verify();
+        if (report.ok) return report;
+        const index = this.getKeyIndex(), used = new Set(Object.values(index)), adopted = [];
+        for (const key of report.missingKeys) {
+            itemMemory.delete(this.table + index[key]);
+            used.delete(index[key]);
+            delete index[key];
+            this.releaseId(key);
+            this.unindexItems(key);
+            this.setExpiry(key);
+        }
+        for (const id of [...report.orphaned, ...report.unindexed]) {
+            const suffix = id.slice(this.table.length);
+            if (used.has(suffix) || index[suffix] !== undefined) continue;
+            if (deleteOrphans) {
+                world.structureManager.delete(id);
+                continue;
+            }
+            index[suffix] = suffix, used.add(suffix), adopted.push(suffix);
+            this.usedIds().add(suffix);
+            this.databases.itemKeys.set(this.table + suffix, suffix);
+        }
+        this.databases.structureIds.set(this.table, world.structureManager.getWorldStructureIds().filter(id => id.startsWith(this.table))
+            .concat(Object.values(index).map(id => this.table + id).filter(id => world.structureManager.get(id)))
+            .filter((id, i, ids) => ids.indexOf(id) === i && used.has(id.slice(this.table.length))));
+        for (const key of adopted) {
+            const item = this.readItem(key);
+            if (!item) continue;
+            itemMemory.set(this.getId(key), item);
+            this.indexItems(key, [item]);
+        }
+        return report;
     };
-    has(key) { return itemMemory.has(this.table + key) };
-    hasAsync(key) { return Boolean(world.structureManager.get(this.table + key)) };
-    getAllKeys() { return Array.from(Databases.structureIds.get(this.table) ?? []).map(key => key.split(':')[1]) };
+    storedKeys() { return this.tableKeys(this.databases.itemKeys) };
+    getAllKeys() { return this.storedKeys().filter(key => !this.isExpired(key)) };
     getAll() { return this.getAllKeys().map(key => this.get(key)) };
     getAllAsync() { return this.getAllKeys().map(key => this.getAsync(key)) };
-    setItems(key, items) {
-        if (key.length > 12)
-            throw new Error(`The provided key "${key}" exceeds the maximum allowed length of 12 characters (actual length: ${key.length}).`);
-        let success = false;
-        return this.asyncQueue.enqueue(() => {
-            const newId = this.table + key, existingStructure = world.structureManager.get(newId);
+    setItems(key, items, { ttl, actor } = {}) {
+        if (items.length >= 1 / SRCItemDatabase.slotStep)
+            throw new Error(`The provided items for key "${key}" exceed the maximum allowed length of ${1 / SRCItemDatabase.slotStep - 1} (actual length: ${items.length}).`);
+        SRCItemDatabase.checkTtl(key, ttl);
+        return this.inZone(() => {
+            this.snapshot(key, 'set', actor);
+            const newId = this.allocateId(key), existingStructure = world.structureManager.get(newId), oldValue = itemMemory.get(newId);
             if (existingStructure) {
                 world.structureManager.delete(newId);
                 itemMemory.delete(newId);
-                Databases.structureIds.set(this.table, Array.from(Databases.structureIds.get(this.table) ?? []).filter(id => id !== newId));
+                this.untrackId(newId);
             }
-            const location = SRCItemDatabase.location;
+            this.deleteRecord(key);
+            if (this.storage === 'json' && items.every(item => !item || ItemSerializer.isSerializable(item))) {
+                this.setRecord(key, { items: Array.from(items, item => item ? ItemSerializer.serialize(item) : null) });
+                itemMemory.set(newId, items);
+                this.indexItems(key, items, true);
+                this.setExpiry(key, ttl, true);
+                this.emit(key, oldValue, items, 'set');
+                return true;
+            }
+            const location = this.location;
             SRCItemDatabase.dimension.getEntities({ type: 'minecraft:item', location, maxDistance: 3 }).forEach(item => item.remove())
-            for (const item of items) 
-                SRCItemDatabase.dimension.spawnItem(item, { x: location.x + 0.5, y: location.y, z: location.z + 0.5 });
+            items.forEach((item, index) => {
+                if (item) SRCItemDatabase.dimension.spawnItem(item, { x: location.x + 0.5, y: location.y + (index + 1) * SRCItemDatabase.slotStep, z: location.z + 0.5 });
+            });
             world.structureManager.createFromWorld(newId, SRCItemDatabase.dimension, location, location, {
                 includeEntities: true,
                 includeBlocks: false,
                 saveMode: this.saveMode
             });
             itemMemory.set(newId, items);
-            Databases.structureIds.set(this.table, Array.from(Databases.structureIds.get(this.table) ?? []).push(newId));
-            success = true;
-            return success;
+            this.trackId(newId);
+            this.indexItems(key, items, true);
+            this.setExpiry(key, ttl, true);
+            this.emit(key, oldValue, items, 'set');
+            return true;
         });
     }
-    getItems(key) {
-        if (key.length > 12)
-            throw new Error(`The provided key "${key}" exceeds the maximum allowed length of 12 characters (actual length: ${key.length}).`);
-        const newId = this.table + key, location = SRCItemDatabase.location;
-        if (!itemMemory.get(newId)) return [];
-        if (!world.structureManager.get(newId)) return [];
+    getItems(key) { return this.isExpired(key) ? [] : this.readItems(key) };
+    readItems(key) {
+        const newId = this.getId(key), location = this.location, record = this.getRecord(key);
+        if (newId && record) {
+            const items = record.items ? record.items.map(data => data ? ItemSerializer.deserialize(data) : undefined) : [ItemSerializer.deserialize(record.item)];
+            itemMemory.set(newId, items);
+            return items;
+        }
+        if (!newId || !world.structureManager.get(newId)) return [];
+        if (!this.isZoneLoaded()) return this.retryRead(key, true), itemMemory.get(newId);
+        const itemStacksArray = this.readStructure(newId);
+        if (itemStacksArray.length === 0) return undefined;
+        itemMemory.set(newId, itemStacksArray)
+        return itemStacksArray;
+    };
+    readStructure(id) {
+        if (!this.isZoneLoaded()) throw new Error(`The item zone of ${this.name} is not loaded, wait for ready before reading ${id}.`);
+        const location = this.location;
         SRCItemDatabase.dimension.getEntities({ type: 'minecraft:item', location, maxDistance: 3 }).forEach(item => item.remove())
-        world.structureManager.place(newId, SRCItemDatabase.dimension, location, { includeBlocks: false, includeEntities: true });
+        world.structureManager.place(id, SRCItemDatabase.dimension, location, { includeBlocks: false, includeEntities: true });
         const items = SRCItemDatabase.dimension.getEntities({ type: 'minecraft:item', location: location, maxDistance: 3 });
-        if (items.length === 0) return undefined;
-        const itemStacksArray = [];
+        const itemStacksArray = [], unordered = [];
         for (const item of items) {
-            itemStacksArray.push(item.getComponent(EntityItemComponent.componentId).itemStack);
+            const index = Math.round((item.location.y - location.y) / SRCItemDatabase.slotStep) - 1,
+                itemStack = item.getComponent(EntityItemComponent.componentId).itemStack;
+            if (index < 0 || itemStacksArray[index]) unordered.push(itemStack);
+            else itemStacksArray[index] = itemStack;
             item.remove();
         }
-        itemMemory.set(newId, itemStacksArray)
+        itemStacksArray.push(...unordered);
         return itemStacksArray;
     };
-    static clearStorage() {
-        const keys = Array.from(Databases.structureIds.get(this.table) ?? []);
-        keys.forEach(key => world.structureManager.delete(key) && itemMemory.delete(key));
-        return keys.length;
+    static historyPolicy(history) {
+        if (history === undefined || history === false) return undefined;
+        const { versions = 10, maxAge } = typeof history == 'number' ? { versions: history } : history === true ? {} : history;
+        if (!Number.isInteger(versions) || versions < 1) throw new Error(`Invalid history versions "${versions}", expected a whole number above 0.`);
+        if (maxAge !== undefined && (typeof maxAge != 'number' || maxAge <= 0)) throw new Error(`Invalid history maxAge "${maxAge}", expected a positive number of milliseconds.`);
+        return { versions, maxAge };
+    };
+    getHistory() {
+        const log = this.databases.itemHistory.get(this.table) ?? {};
+        return { counter: log.counter ?? 0, keys: { ...log.keys } };
+    };
+    setHistory(log) {
+        return Object.keys(log.keys).length ? this.databases.itemHistory.set(this.table, log) : this.databases.itemHistory.delete(this.table);
+    };
+    snapshot(key, type, actor) {
+        if (!this.historyPolicy) return;
+        const id = this.getId(key), record = this.getRecord(key);
+        if (!record && !(id && world.structureManager.get(id))) return;
+        const log = this.getHistory(), versions = [...log.keys[key] ?? []],
+            entry = { version: (versions.at(-1)?.version ?? 0) + 1, time: Date.now(), type };
+        if (actor !== undefined) entry.actor = actor;
+        if (record) entry.record = record;
+        else {
+            entry.id = this.historyTable + (log.counter++).toString(36);
+            entry.items = this.isList(key);
+            this.readStructure(id).forEach((item, index) => item && SRCItemDatabase.dimension.spawnItem(item, {
+                x: this.location.x + 0.5, y: this.location.y + (entry.items ? (index + 1) * SRCItemDatabase.slotStep : 0), z: this.location.z + 0.5
+            }));
+            world.structureManager.createFromWorld(entry.id, SRCItemDatabase.dimension, this.location, this.location, {
+                includeEntities: true,
+                includeBlocks: false,
+                saveMode: this.saveMode
+            });
+            SRCItemDatabase.dimension.getEntities({ type: 'minecraft:item', location: this.location, maxDistance: 3 }).forEach(item => item.remove());
+        }
+        versions.push(entry);
+        log.keys[key] = this.pruneVersions(versions);
+        this.setHistory(log);
+    };
+    pruneVersions(versions) {
+        const { versions: keep, maxAge } = this.historyPolicy, now = Date.now();
+        return versions.filter((entry, index) => {
+            if (index >= versions.length - keep && (maxAge === undefined || now - entry.time <= maxAge)) return true;
+            if (entry.id) world.structureManager.delete(entry.id);
+            return false;
+        });
+    };
+    pruneHistory() {
+        if (!this.historyPolicy) return 0;
+        const log = this.getHistory();
+        let pruned = 0;
+        for (const key of Object.keys(log.keys)) {
+            const versions = this.pruneVersions(log.keys[key]);
+            pruned += log.keys[key].length - versions.length;
+            if (versions.length) log.keys[key] = versions;
+            else delete log.keys[key];
+        }
+        if (pruned) this.setHistory(log);
+        return pruned;
+    };
+    history(key) {
+        return (this.getHistory().keys[key] ?? []).map(({ version, time, type, actor }) => ({ version, time, type, actor })).reverse();
+    };
+    restore(key, version, { actor } = {}) {
+        const entry = (this.getHistory().keys[key] ?? []).find(entry => entry.version === version);
+        if (!entry) throw new Error(`Version ${version} of the key "${key}" is not in the history of ${this.name}.`);
+        let items;
+        if (entry.record) items = entry.record.items ? entry.record.items.map(data => data ? ItemSerializer.deserialize(data) : undefined) : [ItemSerializer.deserialize(entry.record.item)];
+        else if (world.structureManager.get(entry.id)) items = this.readStructure(entry.id);
+        else throw new Error(`The structure of version ${version} of the key "${key}" is missing.`);
+        return entry.items || entry.record?.items ? this.setItems(key, items, { actor }) : this.set(key, items[0], { actor });
+    };
+    saveInventory(key, player) {
+        const container = player.getComponent('minecraft:inventory').container, equippable = player.getComponent('minecraft:equippable'), items = [];
+        for (let slot = 0; slot < container.size; slot++) items[slot] = container.getItem(slot);
+        SRCItemDatabase.equipmentSlots.forEach((slot, i) => items[container.size + i] = equippable?.getEquipment(slot));
+        return this.setItems(key, items);
+    };
+    restoreInventory(key, player, { mode = 'replace' } = {}) {
+        if (mode !== 'replace' && mode !== 'merge')
+            throw new Error(`Invalid restore mode "${mode}", expected "replace" or "merge".`);
+        const items = this.getItems(key);
+        if (!items || items.length === 0) return false;
+        const container = player.getComponent('minecraft:inventory').container, equippable = player.getComponent('minecraft:equippable'), leftovers = [];
+        if (mode === 'replace') {
+            container.clearAll();
+            SRCItemDatabase.equipmentSlots.forEach(slot => equippable?.setEquipment(slot, undefined));
+        }
+        items.forEach((item, index) => {
+            if (!item) return;
+            if (index < container.size) {
+                if (container.getItem(index)) leftovers.push(item);
+                else container.setItem(index, item);
+                return;
+            }
+            const slot = SRCItemDatabase.equipmentSlots[index - container.size];
+            if (!slot || !equippable || equippable.getEquipment(slot)) leftovers.push(item);
+            else equippable.setEquipment(slot, item);
+        });
+        for (const item of leftovers) {
+            const rest = container.addItem(item);
+            if (rest) player.dimension.spawnItem(rest, player.location);
+        }
+        return true;
+    };
+    static clearStorage(namespace) {
+        const store = databases(namespace), ids = new Set();
+        // The keys of the open tables get a clear event, so caches built on them like the vault slots are dropped
+        const cleared = [...tables.values()].filter(db => db.namespace === namespace).map(db => [db, db.storedKeys().map(key => [key, itemMemory.get(db.getId(key))])]);
+        for (const table of store.structureIds.keys()) Array.from(store.structureIds.get(table) ?? []).forEach(id => ids.add(id));
+        for (const table of store.itemHistory.keys()) Object.values(store.itemHistory.get(table).keys ?? {}).flat().forEach(entry => entry.id && ids.add(entry.id));
+        let deleted = 0;
+        for (const id of ids) {
+            itemMemory.delete(id);
+            if (world.structureManager.delete(id)) deleted++;
+        }
+        usedIds.clear();
+        [store.structureIds, store.itemKeys, store.itemMeta, store.itemData, store.itemExpiry, store.itemHistory, store.vaultMeta, store.bankBalances].forEach(db => db.clear());
+        try {
+            (zones.get(SRCItemDatabase.zoneName(namespace))?.dimension ?? SRCItemDatabase.dimension).runCommand(`tickingarea remove "${SRCItemDatabase.zoneName(namespace)}"`);
+        } catch {
+            // Fails when the ticking area was never added or was removed by hand
+        }
+        zones.delete(SRCItemDatabase.zoneName(namespace));
+        for (const [db, entries] of cleared) entries.forEach(([key, oldValue]) => db.emit(key, oldValue, undefined, 'clear'));
+        return deleted;
     }
 }
 export default SRCItemDatabase;
\ No newline at end of file
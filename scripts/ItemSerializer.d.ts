@@ -0,0 +1,78 @@
+/**
+ * Author: @gameza_src on Discord
+ * ItemStack Serializer for Minecraft Bedrock Edition
+ * @version 1.0.0
+ * @module ItemSerializer
+ * @description This module is used for converting an ItemStack
+ * to and from JSON, without using the world structure manager.
+ */
+import { ItemStack, ItemLockMode } from "@minecraft/server";
+
+/**
+ * The JSON form of an ItemStack, fields with their default value are left out
+ */
+export interface SerializedItem {
+    typeId: string;
+    amount: number;
+    nameTag?: string;
+    lore?: string[];
+    enchantments?: { id: string, level: number }[];
+    /**
+     * The damage of the durability component
+     */
+    damage?: number;
+    dynamicProperties?: Record<string, string | number | boolean | { x: number, y: number, z: number }>;
+    canPlaceOn?: string[];
+    canDestroy?: string[];
+    lockMode?: ItemLockMode;
+    keepOnDeath?: boolean;
+}
+/**
+ * This class is used for converting an ItemStack to and from JSON
+ * @version 1.0.0
+ * @class
+ * @classdesc ItemSerializer keeps the data of an ItemStack that the Script API exposes
+ * @example const data = ItemSerializer.serialize(itemStack);
+ * const copy = ItemSerializer.deserialize(data);
+ */
+declare class ItemSerializer {
+    /**
+     * The item components that the serializer can keep, items with any other component are not serializable
+     */
+    static components: string[];
+    /**
+     * The type ids of the items with data the Script API does not expose, like books, maps, shulker boxes, armor trims or shield patterns
+     */
+    static structureOnly: RegExp[];
+    /**
+     * This method is used to check if an itemStack can be serialized without losing data
+     * @param {ItemStack} itemStack The itemStack to check
+     * @returns {Boolean} True if the itemStack can be serialized
+     */
+    static isSerializable(itemStack: ItemStack): boolean;
+    /**
+     * This method is used to convert an itemStack to a JSON compatible object
+     * @param {ItemStack} itemStack The itemStack to convert
+     * @returns {SerializedItem} The serialized itemStack
+     */
+    static serialize(itemStack: ItemStack): SerializedItem;
+    /**
+     * This method is used to create an itemStack from its serialized data
+     * @param {SerializedItem} data The serialized itemStack
+     * @returns {ItemStack} The new itemStack
+     */
+    static deserialize(data: SerializedItem): ItemStack;
+    /**
+     * This method is used to convert an itemStack to a JSON string
+     * @param {ItemStack} itemStack The itemStack to convert
+     * @returns {String} The JSON string
+     */
+    static toJSON(itemStack: ItemStack): string;
+    /**
+     * This method is used to create an itemStack from a JSON string
+     * @param {String} json The JSON string
+     * @returns {ItemStack} The new itemStack
+     */
+    static fromJSON(json: string): ItemStack;
+}
+export default ItemSerializer;
@@ -0,0 +1,56 @@
+import {
+    EnchantmentTypes,
+    ItemLockMode,
+    ItemStack
+} from "@minecraft/server";
+
+class ItemSerializer {
+    static components = ['minecraft:enchantable', 'minecraft:durability', 'minecraft:cooldown', 'minecraft:food', 'minecraft:compostable'];
+    static structureOnly = [
+        /shulker_box$/, /bundle$/, /banner$/, /potion$/, /_horn$/, /arrow$/, /compass$/,
+        // Trims, dyes, banner patterns and lodestones are not exposed either
+        /_(helmet|chestplate|leggings|boots|horse_armor)$/,
+        /^minecraft:(written_book|writable_book|filled_map|firework_rocket|firework_star|crossbow|suspicious_stew|decorated_pot|shield|wolf_armor|ominous_bottle)$/
+    ];
+    static isSerializable(itemStack) {
+        if (!itemStack) return false;
+        if (ItemSerializer.structureOnly.some(pattern => pattern.test(itemStack.typeId))) return false;
+        return itemStack.getComponents().every(component => ItemSerializer.components.includes(component.typeId));
+    };
+    static serialize(itemStack) {
+        const data = { typeId: itemStack.typeId, amount: itemStack.amount };
+        if (itemStack.nameTag !== undefined) data.nameTag = itemStack.nameTag;
+        const lore = itemStack.getLore();
+        if (lore.length) data.lore = lore;
+        const enchantments = itemStack.getComponent('minecraft:enchantable')?.getEnchantments() ?? [];
+        if (enchantments.length) data.enchantments = enchantments.map(({ type, level }) => ({ id: type.id, level }));
+        const damage = itemStack.getComponent('minecraft:durability')?.damage;
+        if (damage) data.damage = damage;
+        const dynamicProperties = Object.fromEntries(itemStack.getDynamicPropertyIds().map(id => [id, itemStack.getDynamicProperty(id)]));
+        if (Object.keys(dynamicProperties).length) data.dynamicProperties = dynamicProperties;
+        const canPlaceOn = itemStack.getCanPlaceOn(), canDestroy = itemStack.getCanDestroy();
+        if (canPlaceOn.length) data.canPlaceOn = canPlaceOn;
+        if (canDestroy.length) data.canDestroy = canDestroy;
+        if (itemStack.lockMode && itemStack.lockMode !== ItemLockMode.none) data.lockMode = itemStack.lockMode;
+        if (itemStack.keepOnDeath) data.keepOnDeath = true;
+        return data;
+    };
+    static deserialize(data) {
+        const itemStack = new ItemStack(data.typeId, data.amount ?? 1);
+        if (data.nameTag !== undefined) itemStack.nameTag = data.nameTag;
+        if (data.lore?.length) itemStack.setLore(data.lore);
+        if (data.enchantments?.length)
+            itemStack.getComponent('minecraft:enchantable')?.addEnchantments(data.enchantments.map(({ id, level }) => ({ type: EnchantmentTypes.get(id), level })));
+        const durability = itemStack.getComponent('minecraft:durability');
+        if (durability && data.damage) durability.damage = data.damage;
+        for (const [id, value] of Object.entries(data.dynamicProperties ?? {})) itemStack.setDynamicProperty(id, value);
+        if (data.canPlaceOn?.length) itemStack.setCanPlaceOn(data.canPlaceOn);
+        if (data.canDestroy?.length) itemStack.setCanDestroy(data.canDestroy);
+        if (data.lockMode) itemStack.lockMode = data.lockMode;
+        if (data.keepOnDeath) itemStack.keepOnDeath = true;
+        return itemStack;
+    };
+    static toJSON(itemStack) { return JSON.stringify(ItemSerializer.serialize(itemStack)) };
+    static fromJSON(json) { return ItemSerializer.deserialize(JSON.parse(json)) };
+}
+export default ItemSerializer;
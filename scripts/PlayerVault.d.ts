@@ -0,0 +1,162 @@
+/**
+ * Personal item storage for every player, saved with SRCItemDatabase
+ * @module PlayerVault
+ * @description The itemStacks of a vault are saved with setItems in the `vaults` item table, under the id of its owner.
+ * The owner name and capacity are kept in Databases.vaultMeta, so a vault can be read while its owner is offline.
+ * Vaults opened with a namespace use the `vaults` table and the vaultMeta of that namespace instead.
+ */
+import { ItemStack, Player } from "@minecraft/server";
+import SRCItemDatabase from "./ItemDatabase";
+
+/**
+ * The options of a vault
+ */
+export interface VaultOptions {
+    /**
+     * The namespace of the tables the vault is saved in, so add-ons sharing a world keep their vaults apart
+     */
+    namespace?: string;
+}
+
+/**
+ * The metadata of a vault, kept in Databases.vaultMeta
+ */
+export interface VaultMeta {
+    /**
+     * The name of the owner the last time the vault was opened with a player
+     */
+    name?: string;
+    /**
+     * The number of slots, when it is not the default one
+     */
+    capacity?: number;
+}
+
+declare class PlayerVault {
+    /**
+     * The name of the item table the vaults are saved in
+     */
+    static table: string;
+    /**
+     * The number of slots of a vault without its own capacity
+     */
+    static defaultCapacity: number;
+    /**
+     * The most slots a vault can have, the number of items setItems can save
+     */
+    static readonly maxCapacity: number;
+    /**
+     * The item table the vaults without a namespace are saved in, opened with json storage the first time it is used
+     */
+    static readonly storage: SRCItemDatabase;
+    /**
+     * This method is used to get the item table the vaults of a namespace are saved in
+     * @param {String} [namespace] The namespace, the vaults without one if undefined
+     */
+    static storageOf(namespace?: string): SRCItemDatabase;
+    /**
+     * This method is used to find the vault of a player by name, even while the player is offline
+     * @param {String} name The name of the player
+     * @param {VaultOptions} [options] The namespace to search the vault in
+     * @returns {PlayerVault | undefined} The vault, or undefined if no vault was opened by a player with that name
+     */
+    static find(name: string, options?: VaultOptions): PlayerVault | undefined;
+    /**
+     * The id of the owner
+     */
+    readonly id: string;
+    /**
+     * The namespace the vault is saved in
+     */
+    readonly namespace: string | undefined;
+    /**
+     * The database manager of the namespace, its vaultMeta keeps the name and capacity of the vault
+     */
+    readonly databases: typeof import("./DBManager").Databases;
+    /**
+     * The item table the vault is saved in
+     */
+    readonly storage: SRCItemDatabase;
+    /**
+     * The cached slots of every vault of the same item table, by owner id
+     */
+    readonly cache: Map<string, (ItemStack | undefined)[]>;
+    /**
+     * The name of the player the vault was opened with
+     */
+    readonly playerName: string | undefined;
+    /**
+     * @param {Player | String} owner The player, or the id of a player that may be offline
+     * @param {VaultOptions} [options] The namespace of the vault
+     * @remarks The name of the player is saved with the next change of the vault, opening it does not write
+     */
+    constructor(owner: Player | string, options?: VaultOptions);
+    readonly meta: VaultMeta;
+    setMeta(meta: VaultMeta): Promise<void>;
+    /**
+     * This method is used to save the name of the player the vault was opened with, if it changed
+     */
+    saveName(): Promise<void>;
+    /**
+     * The name of the owner, if the vault was ever changed while opened with the player, or the name of the player it is opened with
+     */
+    readonly name: string | undefined;
+    /**
+     * The number of slots of the vault
+     */
+    readonly capacity: number;
+    /**
+     * This method is used to change the number of slots of the vault
+     * @param {Number} capacity The new number of slots, from 1 to maxCapacity
+     * @example vault(player).setCapacity(54)
+     * @remarks Rejects if an item is in a slot the new capacity would remove
+     */
+    setCapacity(capacity: number): Promise<void>;
+    /**
+     * This method is used to get the cached slots of the vault, loading them the first time
+     * @remarks The array is the cache itself, use list to get copies of the itemStacks.
+     * While the zone is not loaded, slots that need a structure can't be read yet: an empty array is returned and nothing is cached.
+     */
+    slots(): (ItemStack | undefined)[];
+    /**
+     * This method is used to get the cached slots of the vault, waiting for the zone if they need to be read
+     * @remarks Every change of the vault waits for it, so a vault is never saved before it was read
+     */
+    load(): Promise<(ItemStack | undefined)[]>;
+    /**
+     * This method is used to save the slots of the vault
+     */
+    save(): Promise<boolean>;
+    /**
+     * This method is used to get a copy of every slot of the vault
+     * @returns {(ItemStack | undefined)[]} An entry for each slot, undefined when it is empty
+     */
+    list(): (ItemStack | undefined)[];
+    /**
+     * The number of slots with an itemStack
+     */
+    readonly size: number;
+    /**
+     * This method is used to put an itemStack in the vault
+     * @param {ItemStack} itemStack The itemStack to deposit
+     * @returns {Promise<ItemStack | undefined>} What did not fit in the vault, or undefined if everything did
+     * @example const rest = await vault(player).deposit(itemStack);
+     * @remarks The itemStack is first added to the stacks it can stack with, then to the empty slots
+     */
+    deposit(itemStack: ItemStack): Promise<ItemStack | undefined>;
+    /**
+     * This method is used to take the itemStack out of a slot
+     * @param {Number} slot The slot, from 0 to capacity - 1
+     * @returns {Promise<ItemStack | undefined>} The itemStack, or undefined if the slot was empty
+     */
+    withdraw(slot: number): Promise<ItemStack | undefined>;
+}
+/**
+ * This function is used to get the vault of a player
+ * @param {Player | String} owner The player, or the id of a player that may be offline
+ * @param {VaultOptions} [options] The namespace of the vault
+ * @example await vault(player).deposit(new ItemStack('minecraft:diamond', 3));
+ * @example vault(player, { namespace: 'myaddon' })
+ */
+export function vault(owner: Player | string, options?: VaultOptions): PlayerVault;
+export default PlayerVault;
@@ -0,0 +1,98 @@
+import { StructureSaveMode } from "@minecraft/server";
+import SRCItemDatabase from "./ItemDatabase.js";
+import { databases } from "./DBManager.js";
+
+const storages = new Map(), vaultSlots = new Map();
+class PlayerVault {
+    static table = 'vaults';
+    static defaultCapacity = 27;
+    constructor(owner, { namespace } = {}) {
+        this.id = typeof owner == 'string' ? owner : owner?.id;
+        if (!this.id) throw new TypeError('A vault needs a player or a player id.');
+        // Saved with the next write, the constructor can run where the world is read-only
+        this.playerName = typeof owner == 'string' ? undefined : owner.name;
+        this.namespace = namespace;
+        this.databases = databases(namespace);
+    }
+    static storageOf(namespace) {
+        if (storages.has(namespace)) return storages.get(namespace);
+        const storage = SRCItemDatabase.open(PlayerVault.table, StructureSaveMode.World, { storage: 'json', namespace }), slots = new Map();
+        // Deleting or clearing the table from outside, like with /db:delete, drops the cached slots
+        storage.onChange('*', ({ key, type }) => type !== 'set' && slots.delete(key));
+        storages.set(namespace, storage), vaultSlots.set(storage, slots);
+        return storage;
+    };
+    static get storage() { return PlayerVault.storageOf() };
+    static get maxCapacity() { return 1 / SRCItemDatabase.slotStep - 1 };
+    static find(name, { namespace } = {}) {
+        const vaultMeta = databases(namespace).vaultMeta, id = vaultMeta.keys().find(id => vaultMeta.get(id)?.name === name);
+        return id ? new PlayerVault(id, { namespace }) : undefined;
+    };
+    get storage() { return PlayerVault.storageOf(this.namespace) };
+    get cache() { return vaultSlots.get(this.storage) };
+    get meta() { return this.databases.vaultMeta.get(this.id) ?? {} };
+    setMeta(meta) { return this.databases.vaultMeta.set(this.id, { ...this.meta, ...meta }) };
+    async saveName() {
+        if (this.playerName !== undefined && this.meta.name !== this.playerName) await this.setMeta({ name: this.playerName });
+    };
+    get name() { return this.meta.name ?? this.playerName };
+    get capacity() { return this.meta.capacity ?? PlayerVault.defaultCapacity };
+    async setCapacity(capacity) {
+        if (!Number.isInteger(capacity) || capacity < 1 || capacity > PlayerVault.maxCapacity)
+            throw new RangeError(`The capacity of a vault must be a whole number from 1 to ${PlayerVault.maxCapacity}, got ${capacity}.`);
+        const used = (await this.load()).findLastIndex(Boolean);
+        if (used >= capacity) throw new Error(`The vault of ${this.name ?? this.id} has an item in slot ${used}, which a capacity of ${capacity} would remove.`);
+        await this.saveName();
+        return this.setMeta({ capacity });
+    };
+    slots() {
+        const cache = this.cache;
+        if (!cache.has(this.id)) {
+            const items = this.storage.getItems(this.id);
+            // Not read yet while the zone is not loaded, so it is not cached: load reads it again once the zone is loaded
+            if (!items && !this.storage.isZoneLoaded()) return [];
+            cache.set(this.id, [...items ?? []]);
+        }
+        return cache.get(this.id);
+    };
+    load() { return this.cache.has(this.id) ? Promise.resolve(this.slots()) : this.storage.inZone(() => this.slots()) };
+    async save() {
+        const items = await this.load();
+        await this.saveName();
+        return this.storage.setItems(this.id, Array.from({ length: items.length }, (_, slot) => items[slot]));
+    };
+    list() { return Array.from({ length: this.capacity }, (_, slot) => this.slots()[slot]?.clone()) };
+    get size() { return this.slots().filter(Boolean).length };
+    async deposit(itemStack) {
+        const items = await this.load(), capacity = this.capacity;
+        let amount = itemStack.amount;
+        for (let slot = 0; slot < capacity && amount > 0; slot++) {
+            const stack = items[slot];
+            if (!stack || stack.amount >= stack.maxAmount || !stack.isStackableWith(itemStack)) continue;
+            const moved = Math.min(stack.maxAmount - stack.amount, amount), merged = stack.clone();
+            merged.amount += moved, amount -= moved;
+            items[slot] = merged;
+        }
+        for (let slot = 0; slot < capacity && amount > 0; slot++) {
+            if (items[slot]) continue;
+            const stack = itemStack.clone();
+            stack.amount = Math.min(stack.maxAmount, amount), amount -= stack.amount;
+            items[slot] = stack;
+        }
+        let leftover;
+        if (amount > 0) leftover = itemStack.clone(), leftover.amount = amount;
+        if (amount !== itemStack.amount) await this.save();
+        return leftover;
+    };
+    async withdraw(slot) {
+        if (!Number.isInteger(slot) || slot < 0 || slot >= this.capacity)
+            throw new RangeError(`The slot must be a whole number from 0 to ${this.capacity - 1}, got ${slot}.`);
+        const items = await this.load(), item = items[slot];
+        if (!item) return undefined;
+        items[slot] = undefined;
+        await this.save();
+        return item.clone();
+    };
+}
+export function vault(owner, options) { return new PlayerVault(owner, options) };
+export default PlayerVault;
@@ -0,0 +1,116 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CommandPermissionLevel, CustomCommandStatus, ItemStack, Player, tick } from '@minecraft/server';
+import { boot, flush } from './helpers.js';
+
+async function run(commands, name, source, ...args) {
+    const result = commands.run(name, { source }, ...args);
+    tick();
+    await flush();
+    return result;
+}
+
+test('the admin commands are registered with a permission level', async () => {
+    const { commands } = await boot({ wipe: true });
+    assert.deepEqual([...commands.commands.keys()], ['db:tables', 'db:keys', 'db:view', 'db:give', 'db:delete', 'db:clear']);
+    for (const { command } of commands.commands.values()) assert.equal(command.permissionLevel, CommandPermissionLevel.Admin);
+    const result = commands.run('db:tables', { source: new Player('Steve'), permissionLevel: CommandPermissionLevel.Any });
+    assert.equal(result.status, CustomCommandStatus.Failure);
+});
+
+test('the admin commands list, show and delete BDatabase keys', async () => {
+    const { BDatabase, commands } = await boot({ wipe: true });
+    const db = new BDatabase('stats'), player = new Player('Steve');
+    await db.setMany({ kills: 3, deaths: 0, seen: new Set(['Alex']) });
+
+    assert.equal((await run(commands, 'db:tables', player)).status, CustomCommandStatus.Success);
+    assert.match(player.messages.pop(), /Manager tables:§r structureIds, itemKeys.*\n§eTables:§r stats\n/);
+    await run(commands, 'db:keys', player, 'table', 'stats');
+    assert.equal(player.messages.pop(), '§estats§r (3 keys, page 1/1): kills, deaths, seen');
+    await run(commands, 'db:view', player, 'table', 'stats', 'seen');
+    assert.equal(player.messages.pop(), '§estats/seen§r: {"$t":"Set","v":["Alex"]}');
+    await run(commands, 'db:view', player, 'table', 'stats', 'wins');
+    assert.equal(player.messages.pop(), '§cThe key "wins" was not found in stats.');
+
+    await run(commands, 'db:delete', player, 'table', 'stats', 'deaths');
+    assert.equal(player.messages.pop(), 'Deleted stats/deaths.');
+    assert.deepEqual(db.keys(), ['kills', 'seen']);
+    await run(commands, 'db:clear', player, 'table', 'stats');
+    assert.equal(player.messages.pop(), 'Deleted 2 keys from stats.');
+    assert.deepEqual(db.keys(), []);
+});
+
+test('the admin commands show, give and delete saved items', async (t) => {
+    const { SRCItemDatabase, commands } = await boot({ wipe: true });
+    const db = new SRCItemDatabase('kits'), player = new Player('Steve'), sword = new ItemStack('minecraft:diamond_sword');
+    sword.nameTag = 'Excalibur';
+    db.set('sword', sword);
+    db.setItems('starter', [new ItemStack('minecraft:bread', 16), undefined, new ItemStack('minecraft:stone_pickaxe')]);
+    await flush();
+
+    await run(commands, 'db:keys', player, 'items', 'kits');
+    assert.equal(player.messages.pop(), '§ekits§r (2 keys, page 1/1): sword, starter');
+    await run(commands, 'db:view', player, 'items', 'kits', 'starter');
+    assert.equal(player.messages.pop(), '§ekits/starter§r:\n16x minecraft:bread\n1x minecraft:stone_pickaxe');
+
+    await run(commands, 'db:give', player, 'kits', 'sword');
+    await run(commands, 'db:give', player, 'kits', 'starter');
+    assert.deepEqual(player.messages.splice(0), ['Gave you 1 item from kits/sword.', 'Gave you 2 items from kits/starter.']);
+    const container = player.getComponent('minecraft:inventory').container;
+    assert.equal(container.getItem(0).nameTag, 'Excalibur');
+    assert.deepEqual([1, 2].map(slot => container.getItem(slot).typeId), ['minecraft:bread', 'minecraft:stone_pickaxe']);
+    assert.equal(db.get('sword').nameTag, 'Excalibur');
+
+    const warn = t.mock.method(console, 'warn', () => { });
+    await run(commands, 'db:give', undefined, 'kits', 'sword');
+    assert.deepEqual(warn.mock.calls.map(call => call.arguments), [['§cOnly players can receive items.']]);
+    await run(commands, 'db:delete', player, 'items', 'kits', 'sword');
+    assert.equal(player.messages.pop(), 'Deleted kits/sword.');
+    assert.deepEqual(db.getAllKeys(), ['starter']);
+    await run(commands, 'db:give', player, 'kits', 'sword');
+    assert.equal(player.messages.pop(), '§cThe key "sword" was not found in kits.');
+});
+
+test('the admin commands open item tables that were not opened since the restart', async () => {
+    let { SRCItemDatabase, commands } = await boot({ wipe: true });
+    new SRCItemDatabase('vault').set('gem', new ItemStack('minecraft:emerald', 3));
+    await flush();
+
+    ({ commands } = await boot());
+    const player = new Player('Steve');
+    await run(commands, 'db:tables', player);
+    assert.match(player.messages.pop(), /Item tables:§r vault$/);
+    await run(commands, 'db:give', player, 'vault', 'gem');
+    assert.equal(player.messages.pop(), 'Gave you 1 item from vault/gem.');
+    assert.equal(player.getComponent('minecraft:inventory').container.getItem(0).amount, 3);
+});
+
+test('the admin commands do not create the tables they are given', async () => {
+    const { BDatabase, SRCItemDatabase, commands } = await boot({ wipe: true });
+    const player = new Player('Steve'), tables = BDatabase.tableNames();
+    await run(commands, 'db:keys', player, 'table', 'statz');
+    assert.equal(player.messages.pop(), '§cThe table "statz" was not found.');
+    await run(commands, 'db:view', player, 'items', 'kitz', 'sword');
+    assert.equal(player.messages.pop(), '§cThe table "kitz" was not found.');
+    await run(commands, 'db:give', player, 'kitz', 'sword');
+    assert.equal(player.messages.pop(), '§cThe table "kitz" was not found.');
+    assert.deepEqual(BDatabase.tableNames(), tables);
+    assert.deepEqual(SRCItemDatabase.tableNames(), []);
+});
+
+test('the admin commands reach the tables of a namespace', async () => {
+    const { BDatabase, SRCItemDatabase, commands } = await boot({ wipe: true });
+    const player = new Player('Steve');
+    await new BDatabase('stats', { namespace: 'shop' }).set('sales', 12);
+    new SRCItemDatabase('kits', undefined, { namespace: 'shop' }).set('sword', new ItemStack('minecraft:iron_sword'));
+    await flush();
+
+    await run(commands, 'db:tables', player);
+    assert.match(player.messages.pop(), /\n§eTables of shop:§r shop:stats\n§eItem tables of shop:§r shop:kits$/);
+    await run(commands, 'db:view', player, 'table', 'shop:stats', 'sales');
+    assert.equal(player.messages.pop(), '§eshop:stats/sales§r: 12');
+    await run(commands, 'db:view', player, 'items', 'shop:kits', 'sword');
+    assert.equal(player.messages.pop(), '§eshop:kits/sword§r:\n1x minecraft:iron_sword');
+    await run(commands, 'db:keys', player, 'table', 'stats');
+    assert.equal(player.messages.pop(), '§cThe table "stats" was not found.');
+});
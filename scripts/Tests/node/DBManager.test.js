@@ -0,0 +1,23 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { boot } from './helpers.js';
+
+test('Databases is created when the world loads', async () => {
+    const { manager } = await boot({ wipe: true });
+    assert.ok(manager.Databases.structureIds);
+    assert.ok(manager.Databases.itemKeys);
+    await manager.Databases.structureIds.set('table', ['id']);
+
+    const { manager: reloaded } = await boot();
+    assert.deepEqual(reloaded.Databases.structureIds.get('table'), ['id']);
+});
+
+test('databases gives every namespace its own manager', async () => {
+    const { manager } = await boot({ wipe: true });
+    const shop = manager.databases('shop');
+    assert.equal(manager.databases('shop'), shop);
+    assert.equal(manager.databases(), manager.Databases);
+    await shop.itemKeys.set('table', { key: 'id' });
+    assert.equal(manager.Databases.itemKeys.get('table'), undefined);
+    assert.deepEqual(shop.itemKeys.get('table'), { key: 'id' });
+});
@@ -0,0 +1,322 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Player, tick, world } from '@minecraft/server';
+import { boot, flush } from './helpers.js';
+
+test('BDatabase stores values and keeps them after a restart', async () => {
+    let { BDatabase } = await boot({ wipe: true });
+    const db = new BDatabase('stats');
+    await db.set('kills', 3);
+    await db.set('name', 'Steve');
+    assert.equal(db.get('kills'), 3);
+    assert.deepEqual(db.keys(), ['kills', 'name']);
+
+    ({ BDatabase } = await boot());
+    const reloaded = new BDatabase('stats');
+    assert.deepEqual(reloaded.collection(), { kills: 3, name: 'Steve' });
+});
+
+test('BDatabase splits large tables into 8000 character chunks', async () => {
+    let { BDatabase } = await boot({ wipe: true });
+    const db = new BDatabase('big');
+    await db.set('text', 'x'.repeat(20000));
+    assert.equal(world.getDynamicProperty(`dbs_big#${db.shardOf('text')}`), 3);
+
+    ({ BDatabase } = await boot());
+    assert.equal(new BDatabase('big').get('text').length, 20000);
+});
+
+test('BDatabase only rewrites the shards of the changed keys', async () => {
+    const { BDatabase } = await boot({ wipe: true });
+    const db = new BDatabase('players');
+    await db.setMany(Object.fromEntries(Array.from({ length: 200 }, (_, i) => [`player${i}`, { kills: i }])));
+    const written = [], setDynamicProperty = world.setDynamicProperty;
+    world.setDynamicProperty = function (id, value) {
+        written.push(id);
+        return setDynamicProperty.call(this, id, value);
+    };
+    try {
+        await db.set('player7', { kills: 100 });
+    } finally {
+        world.setDynamicProperty = setDynamicProperty;
+    }
+    const shard = db.shardOf('player7');
+    assert.ok(written.length > 0);
+    assert.ok(written.every(id => id.startsWith(`dbs_players#${shard}`)), written.join());
+});
+
+test('BDatabase compresses the stored strings when asked to', async () => {
+    let { BDatabase } = await boot({ wipe: true });
+    const db = new BDatabase('compressed', { compress: true, shards: 1 });
+    const data = Object.fromEntries(Array.from({ length: 500 }, (_, i) => [`player${i}`, { name: `Steve${i}`, kills: i }]));
+    await db.setMany(data);
+    const stored = world.getDynamicProperty('dbs_compressed#0.0');
+    assert.ok(stored.startsWith('~'));
+    assert.ok(world.getDynamicProperty('dbs_compressed#0') < Math.ceil(JSON.stringify(data).length / 8000));
+
+    ({ BDatabase } = await boot());
+    assert.deepEqual(new BDatabase('compressed').collection(), data);
+});
+
+test('BDatabase migrates the old single string layout on load', async () => {
+    let { BDatabase } = await boot({ wipe: true });
+    const data = { name: 'Steve', text: 'x'.repeat(10000) }, json = JSON.stringify(data);
+    world.setDynamicProperty('db_legacy', 2);
+    world.setDynamicProperty('db_legacy_0', json.slice(0, 8000));
+    world.setDynamicProperty('db_legacy_1', json.slice(8000));
+    assert.deepEqual(new BDatabase('legacy').collection(), data);
+    assert.deepEqual(world.getDynamicPropertyIds().filter(id => id.startsWith('db_legacy')), []);
+    assert.equal(world.getDynamicProperty('dbs_legacy'), 16);
+
+    ({ BDatabase } = await boot());
+    assert.deepEqual(new BDatabase('legacy').collection(), data);
+});
+
+test('BDatabase keeps Map, Set, Date, BigInt and Vector values', async () => {
+    let { BDatabase, Vector } = await boot({ wipe: true });
+    const db = new BDatabase('rich');
+    await db.set('home', { spawn: Vector(1, 64, -3), visits: new Map([['Steve', new Date(5000)], ['Alex', new Date(NaN)]]) });
+    await db.set('tags', new Set(['vip', 10n ** 30n]));
+    await db.set('escaped', { $t: 'Map', v: [] });
+
+    ({ BDatabase, Vector } = await boot());
+    const reloaded = new BDatabase('rich'), home = reloaded.get('home'), tags = reloaded.get('tags');
+    assert.ok(home.spawn instanceof Vector);
+    assert.deepEqual({ ...home.spawn }, { x: 1, y: 64, z: -3 });
+    assert.ok(home.visits instanceof Map);
+    assert.equal(home.visits.get('Steve').getTime(), 5000);
+    assert.ok(Number.isNaN(home.visits.get('Alex').getTime()));
+    assert.deepEqual(tags, new Set(['vip', 10n ** 30n]));
+    assert.deepEqual(reloaded.get('escaped'), { $t: 'Map', v: [] });
+});
+
+test('BDatabase uses registered codecs for custom classes', async () => {
+    class Money {
+        constructor(cents) { this.cents = cents; }
+    }
+    let { BDatabase } = await boot({ wipe: true });
+    assert.throws(() => BDatabase.registerCodec('Date', { type: Money, encode: String, decode: Number }), /reserved/);
+    assert.throws(() => BDatabase.registerCodec('Money', { encode: String, decode: Number }), /type or a test/);
+    BDatabase.registerCodec('Money', { type: Money, encode: money => money.cents, decode: cents => new Money(cents) });
+    await new BDatabase('wallets').set('Steve', [new Money(150)]);
+
+    ({ BDatabase } = await boot());
+    BDatabase.registerCodec('Money', { type: Money, encode: money => money.cents, decode: cents => new Money(cents) });
+    const [money] = new BDatabase('wallets').get('Steve');
+    assert.ok(money instanceof Money);
+    assert.equal(money.cents, 150);
+    assert.equal(BDatabase.unregisterCodec('Money'), true);
+});
+
+test('BDatabase still loads values saved as plain JSON', async () => {
+    const { BDatabase } = await boot({ wipe: true });
+    const db = new BDatabase('plain');
+    world.setDynamicProperty('dbs_plain', db.shards);
+    world.setDynamicProperty(`dbs_plain#${db.shardOf('Steve')}`, 1);
+    world.setDynamicProperty(`dbs_plain#${db.shardOf('Steve')}.0`, '{"Steve":{"kills":3,"joined":"2024-01-01T00:00:00.000Z"}}');
+    assert.deepEqual(new BDatabase('plain').get('Steve'), { kills: 3, joined: '2024-01-01T00:00:00.000Z' });
+});
+
+test('BDatabase delete, clear and map update the stored data', async () => {
+    let { BDatabase } = await boot({ wipe: true });
+    const db = new BDatabase('misc');
+    await db.setMany({ a: 1, b: 2, c: 3 });
+    await db.delete('a');
+    db.map((key, value) => [key.toUpperCase(), value * 10]);
+    assert.deepEqual(db.collection(), { B: 20, C: 30 });
+    await db.clear();
+
+    ({ BDatabase } = await boot());
+    assert.deepEqual(new BDatabase('misc').collection(), {});
+});
+
+test('transaction commits every change together', async () => {
+    let { BDatabase } = await boot({ wipe: true });
+    const db = new BDatabase('bank');
+    await db.setMany({ alice: 10, bob: 5 });
+    await db.transaction(tx => {
+        tx.set('alice', tx.get('alice') - 4);
+        tx.set('bob', tx.get('bob') + 4);
+        tx.delete('carol');
+    });
+    assert.deepEqual(db.collection(), { alice: 6, bob: 9 });
+    await db.deleteMany(['alice']);
+
+    ({ BDatabase } = await boot());
+    assert.deepEqual(new BDatabase('bank').collection(), { bob: 9 });
+});
+
+test('transaction discards every change when the callback throws', async () => {
+    const { BDatabase } = await boot({ wipe: true });
+    const db = new BDatabase('bank');
+    await db.set('alice', 10);
+    await assert.rejects(db.transaction(tx => {
+        tx.set('alice', 0);
+        throw new Error('insufficient funds');
+    }), /insufficient funds/);
+    assert.deepEqual(db.collection(), { alice: 10 });
+});
+
+test('an interrupted commit is rolled back on the next load', async () => {
+    let { BDatabase } = await boot({ wipe: true });
+    const db = new BDatabase('bank');
+    await db.set('alice', 10);
+    const setDynamicProperty = world.setDynamicProperty;
+    let chunks = 0;
+    world.setDynamicProperty = function (id, value) {
+        if (/^dbs_bank#\d+\.\d+$/.test(id) && ++chunks === 2) throw new Error('server stopped');
+        return setDynamicProperty.call(this, id, value);
+    };
+    try {
+        assert.throws(() => db.commit({ alice: 0, bob: 'x'.repeat(9000) }, ['alice', 'bob']), /server stopped/);
+    } finally {
+        world.setDynamicProperty = setDynamicProperty;
+    }
+    assert.deepEqual(db.collection(), { alice: 10 });
+    assert.equal(world.getDynamicProperty('dbtx_bank'), undefined);
+
+    const chunk = `dbs_bank#${db.shardOf('alice')}.0`;
+    world.setDynamicProperty('dbtx_bank', 1);
+    world.setDynamicProperty('dbtx_bank_0', JSON.stringify({ [chunk]: '{"alice":10}' }));
+    world.setDynamicProperty(chunk, '{"alice":0,"bob":');
+    ({ BDatabase } = await boot());
+    assert.deepEqual(new BDatabase('bank').collection(), { alice: 10 });
+    assert.equal(world.getDynamicProperty('dbtx_bank_0'), undefined);
+});
+
+test('onChange fires for changes made by any instance of the table', async () => {
+    const { BDatabase } = await boot({ wipe: true });
+    const db = new BDatabase('scores'), other = new BDatabase('scores'), all = [], alice = [];
+    const listener = db.onChange('*', event => all.push(event));
+    db.onChange('alice', event => alice.push(event.type));
+    await other.set('alice', 1);
+    await other.set('bob', 2);
+    other.map((key, value) => [key, value + 1]);
+    await other.transaction(tx => tx.delete('bob'));
+    await other.clear();
+    assert.deepEqual(all[0], { key: 'alice', oldValue: undefined, newValue: 1, type: 'set' });
+    assert.deepEqual(all.map(event => `${event.key}:${event.type}`), ['alice:set', 'bob:set', 'alice:set', 'bob:set', 'bob:delete', 'alice:clear']);
+    assert.deepEqual(alice, ['set', 'set', 'clear']);
+    assert.ok(db.unsubscribe(listener));
+    await other.set('carol', 3);
+    assert.equal(all.length, 6);
+});
+
+test('keys set with a ttl expire and are swept', async (t) => {
+    let now = 1000;
+    t.mock.method(Date, 'now', () => now);
+    let { BDatabase } = await boot({ wipe: true });
+    const db = new BDatabase('rewards'), expired = [];
+    db.onExpire(event => expired.push(event));
+    await db.set('daily', 'diamond', { ttl: 5000 });
+    await db.set('weekly', 'emerald', { ttl: 50000 });
+    await db.set('forever', 'dirt');
+    assert.equal(db.ttl('daily'), 5000);
+    assert.throws(() => db.setExpiry('daily', -1), /positive number/);
+
+    ({ BDatabase } = await boot());
+    const reloaded = new BDatabase('rewards');
+    reloaded.onExpire(event => expired.push(event));
+    now += 6000;
+    assert.equal(reloaded.get('daily'), undefined);
+    tick(20);
+    assert.deepEqual(expired, [{ key: 'daily', value: 'diamond', expiredAt: 7000 }]);
+    assert.deepEqual(reloaded.keys().sort(), ['forever', 'weekly']);
+    await reloaded.set('weekly', 'emerald');
+    now += 60000;
+    tick(20);
+    assert.deepEqual(reloaded.keys().sort(), ['forever', 'weekly']);
+});
+
+test('expired keys are left out of every read before they are swept', async (t) => {
+    let now = 1000;
+    t.mock.method(Date, 'now', () => now);
+    const { BDatabase, commands } = await boot({ wipe: true });
+    const db = new BDatabase('rewards'), player = new Player('Steve'), seen = [];
+    await db.set('daily', 'diamond', { ttl: 5000 });
+    await db.set('forever', 'dirt');
+    now += 6000;
+    assert.deepEqual(db.keys(), ['forever']);
+    assert.deepEqual(await db.keysSync(), ['forever']);
+    assert.deepEqual(db.values(), ['dirt']);
+    assert.deepEqual(await db.valuesSync(), ['dirt']);
+    assert.deepEqual(db.collection(), { forever: 'dirt' });
+    assert.deepEqual(await db.collectionSync(), { forever: 'dirt' });
+    assert.equal(await db.getSync('daily'), undefined);
+    assert.equal(await db.hasSync('daily'), false);
+    assert.equal(db.find('diamond'), undefined);
+    assert.equal(db.getKeyByValue('diamond'), null);
+    db.forEach(key => seen.push(key));
+    assert.deepEqual(seen, ['forever']);
+    commands.run('db:keys', { source: player }, 'table', 'rewards');
+    tick(), await flush();
+    assert.equal(player.messages.pop(), '§erewards§r (1 keys, page 1/1): forever');
+});
+
+test('BDatabase tables with an owner are stored on that entity', async () => {
+    let { BDatabase } = await boot({ wipe: true });
+    const steve = new Player('Steve'), alex = new Player('Alex');
+    const stats = new BDatabase('stats', { owner: steve });
+    await stats.set('kills', 3);
+    await new BDatabase('stats', { owner: alex }).set('kills', 7);
+    await stats.transaction(tx => tx.set('deaths', 1));
+    assert.deepEqual(stats.collection(), { kills: 3, deaths: 1 });
+    assert.deepEqual(world.getDynamicPropertyIds(), []);
+    assert.ok(steve.getDynamicPropertyIds().includes('dbs_stats'));
+    assert.ok(!BDatabase.tableNames().includes('stats'));
+    assert.equal(BDatabase.open('stats', { owner: steve }), stats);
+    assert.deepEqual(BDatabase.open('stats', { owner: alex }).collection(), { kills: 7 });
+    assert.notEqual(BDatabase.open('stats'), stats);
+
+    ({ BDatabase } = await boot());
+    assert.deepEqual(new BDatabase('stats', { owner: steve }).collection(), { kills: 3, deaths: 1 });
+    assert.deepEqual(new BDatabase('stats', { owner: alex }).collection(), { kills: 7 });
+    assert.deepEqual(new BDatabase('stats').collection(), {});
+});
+
+test('BDatabase tables are released when their owner is removed', async () => {
+    const { BDatabase } = await boot({ wipe: true });
+    const zombie = new Player('Zombie'), changes = [];
+    const db = new BDatabase('loot', { owner: zombie });
+    db.onChange('*', event => changes.push(event.key));
+    await db.set('drop', 'rotten_flesh', { ttl: 1000 });
+    zombie.remove();
+    assert.throws(() => db.keys(), /not loaded/);
+    await assert.rejects(db.set('drop', 'iron_ingot'), /before load/);
+    tick(40);
+    assert.deepEqual(changes, ['drop']);
+    assert.throws(() => new BDatabase('loot', { owner: zombie }), /not valid/);
+});
+
+test('BDatabase.open opens the table again for an owner that came back', async () => {
+    const { BDatabase } = await boot({ wipe: true });
+    const steve = new Player('Steve'), stats = new BDatabase('stats', { owner: steve });
+    await stats.set('kills', 3);
+    // A player that leaves is not removed like other entities, it comes back as another entity with the same id
+    steve.isValid = false;
+    const rejoined = Object.assign(new Player('Steve'), { id: steve.id, dynamicProperties: steve.dynamicProperties });
+    const reopened = BDatabase.open('stats', { owner: rejoined });
+    assert.notEqual(reopened, stats);
+    assert.equal(reopened.owner, rejoined);
+    assert.deepEqual(reopened.collection(), { kills: 3 });
+    await reopened.set('kills', 4);
+    assert.equal(BDatabase.open('stats', { owner: rejoined }), reopened);
+    assert.deepEqual(new BDatabase('stats', { owner: rejoined }).collection(), { kills: 4 });
+});
+
+test('BDatabase tables with a namespace are kept apart and cleared on their own', async () => {
+    let { BDatabase } = await boot({ wipe: true });
+    const shop = new BDatabase('stats', { namespace: 'shop' }), plain = new BDatabase('stats');
+    await shop.set('kills', 1);
+    await plain.set('kills', 2);
+    assert.ok(world.getDynamicPropertyIds().every(id => id.startsWith('shop:dbs_stats') || id.startsWith('dbs_stats')));
+    assert.deepEqual(BDatabase.tableNames('shop'), ['stats']);
+    assert.throws(() => new BDatabase('stats', { namespace: 'a:b' }), /Invalid namespace/);
+
+    ({ BDatabase } = await boot());
+    assert.equal(BDatabase.open('stats', { namespace: 'shop' }).get('kills'), 1);
+    assert.ok(BDatabase.clearStorage('shop') > 0);
+    assert.equal(BDatabase.open('stats', { namespace: 'shop' }).get('kills'), undefined);
+    assert.ok(world.getDynamicPropertyIds().every(id => !id.startsWith('shop:')));
+    assert.equal(BDatabase.open('stats').get('kills'), 2);
+});
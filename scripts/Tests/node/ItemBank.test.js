@@ -0,0 +1,115 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ItemStack, tick, world } from '@minecraft/server';
+import { boot, flush } from './helpers.js';
+
+const settle = async promise => (await flush(), promise);
+
+test('an item bank adds up deposits and splits withdrawals into full stacks', async () => {
+    let { ItemBank } = await boot({ wipe: true });
+    const bank = new ItemBank('shop');
+    for (let i = 0; i < 5; i++) assert.equal(await settle(bank.deposit(new ItemStack('minecraft:cobblestone', 100))), 'minecraft:cobblestone');
+    assert.deepEqual(bank.balance(), { 'minecraft:cobblestone': 500 });
+
+    const stacks = await settle(bank.withdraw('minecraft:cobblestone', 137));
+    assert.deepEqual(stacks.map(stack => stack.amount), [64, 64, 9]);
+    assert.equal(bank.balance('minecraft:cobblestone'), 363);
+
+    ({ ItemBank } = await boot());
+    const reloaded = new ItemBank('shop');
+    assert.equal(reloaded.balance(new ItemStack('minecraft:cobblestone')), 363);
+    assert.deepEqual((await settle(reloaded.withdraw(new ItemStack('minecraft:cobblestone'), 363))).map(stack => stack.amount), [64, 64, 64, 64, 64, 43]);
+    assert.deepEqual(reloaded.balance(), {});
+    assert.equal(new ItemBank('shop').item('minecraft:cobblestone'), undefined);
+});
+
+test('item banks with a namespace are kept apart and cleared with it', async () => {
+    const { ItemBank, SRCItemDatabase } = await boot({ wipe: true });
+    const shop = new ItemBank('coins', { namespace: 'shop' }), plain = new ItemBank('coins');
+    await settle(shop.deposit(new ItemStack('minecraft:gold_nugget', 30)));
+    await settle(plain.deposit(new ItemStack('minecraft:iron_nugget', 5)));
+    assert.deepEqual(shop.balance(), { 'minecraft:gold_nugget': 30 });
+    assert.deepEqual(plain.balance(), { 'minecraft:iron_nugget': 5 });
+    assert.equal(shop.storage.table, 'shop.banks_item:');
+    assert.equal(plain.item('minecraft:gold_nugget'), undefined);
+
+    SRCItemDatabase.clearStorage('shop');
+    assert.deepEqual(new ItemBank('coins', { namespace: 'shop' }).balance(), {});
+    assert.deepEqual(plain.balance(), { 'minecraft:iron_nugget': 5 });
+    assert.equal(shop.item('minecraft:gold_nugget'), undefined);
+});
+
+test('an item bank keeps items with different data apart', async () => {
+    const { ItemBank } = await boot({ wipe: true });
+    const bank = new ItemBank('bank'), named = new ItemStack('minecraft:diamond', 10);
+    named.nameTag = 'Shiny';
+    named.setLore(['Mined by Steve']);
+    await settle(bank.deposit(new ItemStack('minecraft:diamond', 20)));
+    assert.equal(await settle(bank.deposit(named)), 'minecraft:diamond#1');
+    assert.deepEqual(bank.balance(), { 'minecraft:diamond': 20, 'minecraft:diamond#1': 10 });
+
+    const [stack] = await settle(bank.withdraw(named, 4));
+    assert.equal(stack.amount, 4);
+    assert.equal(stack.nameTag, 'Shiny');
+    assert.deepEqual(stack.getLore(), ['Mined by Steve']);
+    assert.equal(bank.balance('minecraft:diamond'), 20);
+    await assert.rejects(bank.withdraw('minecraft:diamond#1', 7), /only has 6/);
+    await assert.rejects(bank.withdraw('minecraft:emerald', 1), /only has 0 of minecraft:emerald/);
+    assert.equal(new ItemBank('other').balance('minecraft:diamond'), 0);
+});
+
+test('an item bank puts identical unstackable items in one variant', async () => {
+    const { ItemBank } = await boot({ wipe: true });
+    const bank = new ItemBank('armory'), named = new ItemStack('minecraft:diamond_sword');
+    named.nameTag = 'Excalibur';
+    for (let i = 0; i < 3; i++) assert.equal(await settle(bank.deposit(new ItemStack('minecraft:diamond_sword'))), 'minecraft:diamond_sword');
+    assert.equal(await settle(bank.deposit(named)), 'minecraft:diamond_sword#1');
+    assert.deepEqual(bank.balance(), { 'minecraft:diamond_sword': 3, 'minecraft:diamond_sword#1': 1 });
+
+    const swords = await settle(bank.withdraw(new ItemStack('minecraft:diamond_sword'), 2));
+    assert.deepEqual(swords.map(sword => sword.amount), [1, 1]);
+    assert.equal(bank.balance('minecraft:diamond_sword'), 1);
+});
+
+test('an item bank removes the stored item of a variant once it is empty', async () => {
+    const { ItemBank } = await boot({ wipe: true });
+    const bank = new ItemBank('bank');
+    await settle(bank.deposit(new ItemStack('minecraft:gold_ingot', 5)));
+    await settle(bank.withdraw('minecraft:gold_ingot', 5));
+    assert.deepEqual(ItemBank.storage.getAllKeys(), []);
+    assert.deepEqual(world.structureManager.getWorldStructureIds(), []);
+});
+
+test('an item bank only credits a deposit once its stored item is saved', async () => {
+    const { ItemBank } = await boot({ wipe: true });
+    const bank = new ItemBank('bank'), overworld = world.getDimension('overworld'), spawnItem = overworld.spawnItem;
+    await flush();
+    overworld.spawnItem = () => { throw new Error('The zone is full') };
+    try {
+        const rejected = assert.rejects(bank.deposit(new ItemStack('minecraft:red_shulker_box')), /The zone is full/);
+        await flush();
+        await rejected;
+    } finally {
+        overworld.spawnItem = spawnItem;
+    }
+    assert.deepEqual(bank.balance(), {});
+    assert.equal(await settle(bank.deposit(new ItemStack('minecraft:red_shulker_box'))), 'minecraft:red_shulker_box');
+    assert.equal(bank.balance('minecraft:red_shulker_box'), 1);
+});
+
+test('an item bank waits for the zone to read a stored item after a restart', async () => {
+    let { ItemBank } = await boot({ wipe: true });
+    await settle(new ItemBank('bank').deposit(new ItemStack('minecraft:red_shulker_box', 2)));
+
+    let SRCItemDatabase;
+    ({ ItemBank, SRCItemDatabase } = await boot());
+    const overworld = world.getDimension('overworld'), bank = new ItemBank('bank');
+    overworld.loaded = false;
+    const withdrawal = bank.withdraw(new ItemStack('minecraft:red_shulker_box'), 1), deposit = bank.deposit(new ItemStack('minecraft:red_shulker_box'));
+    await flush();
+    overworld.loaded = true;
+    tick(SRCItemDatabase.zoneInterval);
+    assert.deepEqual((await settle(withdrawal)).map(stack => [stack.typeId, stack.amount]), [['minecraft:red_shulker_box', 1]]);
+    assert.equal(await deposit, 'minecraft:red_shulker_box');
+    assert.deepEqual(bank.balance(), { 'minecraft:red_shulker_box': 2 });
+});
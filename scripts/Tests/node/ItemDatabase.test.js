@@ -0,0 +1,550 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ItemStack, Player, system, tick, world } from '@minecraft/server';
+import { boot, flush } from './helpers.js';
+
+const settle = async promise => (await flush(), promise);
+
+test('SRCItemDatabase saves items and loads them back after a restart', async () => {
+    let { SRCItemDatabase } = await boot({ wipe: true });
+    const db = new SRCItemDatabase('items');
+    const sword = new ItemStack('minecraft:diamond_sword');
+    sword.nameTag = 'Excalibur';
+    db.set('sword', sword);
+    db.set('stone', new ItemStack('minecraft:stone', 64));
+    await flush();
+    assert.equal(db.get('sword').nameTag, 'Excalibur');
+    assert.deepEqual(db.getAllKeys(), ['sword', 'stone']);
+
+    ({ SRCItemDatabase } = await boot());
+    const reloaded = new SRCItemDatabase('items');
+    await flush();
+    assert.equal(reloaded.get('sword').nameTag, 'Excalibur');
+    assert.equal(reloaded.get('stone').amount, 64);
+    assert.equal(reloaded.getAsync('stone').typeId, 'minecraft:stone');
+    assert.equal(world.getDimension('overworld').getEntities({ type: 'minecraft:item' }).length, 0);
+});
+
+test('SRCItemDatabase overwrites and deletes items', async () => {
+    const { SRCItemDatabase } = await boot({ wipe: true });
+    const db = new SRCItemDatabase('items');
+    db.set('slot', new ItemStack('minecraft:dirt', 1));
+    await flush();
+    db.set('slot', new ItemStack('minecraft:gold_ingot', 2));
+    await flush();
+    assert.equal(db.get('slot').typeId, 'minecraft:gold_ingot');
+    assert.equal(world.structureManager.getWorldStructureIds().length, 1);
+    assert.ok(await settle(db.delete('slot')));
+    assert.equal(db.get('slot'), undefined);
+    assert.equal(db.hasAsync('slot'), false);
+    assert.deepEqual(db.getAllKeys(), []);
+    assert.equal(world.structureManager.getWorldStructureIds().length, 0);
+});
+
+test('SRCItemDatabase accepts keys and table names of any length', async () => {
+    let { SRCItemDatabase } = await boot({ wipe: true });
+    const db = new SRCItemDatabase('auction_house_listings');
+    const key = 'auction:-4294967295:12';
+    db.set(key, new ItemStack('minecraft:emerald', 5));
+    await flush();
+    assert.equal(db.get(key).amount, 5);
+    const [id] = world.structureManager.getWorldStructureIds();
+    assert.ok(id.length < 30, id);
+
+    ({ SRCItemDatabase } = await boot());
+    const reloaded = new SRCItemDatabase('auction_house_listings');
+    await flush();
+    assert.deepEqual(reloaded.getAllKeys(), [key]);
+    assert.equal(reloaded.get(key).typeId, 'minecraft:emerald');
+});
+
+test('SRCItemDatabase indexes structures saved before the key index existed', async () => {
+    let { SRCItemDatabase, manager } = await boot({ wipe: true });
+    const dimension = world.getDimension('overworld'), location = { x: 1000000, y: -50, z: 1000000 };
+    dimension.spawnItem(new ItemStack('minecraft:apple', 3), { x: location.x + 0.5, y: location.y, z: location.z + 0.5 });
+    world.structureManager.createFromWorld('old_item:myItem', dimension, location, location);
+    dimension.getEntities().forEach(entity => entity.remove());
+    await manager.Databases.structureIds.set('old_item:', ['old_item:myItem']);
+
+    ({ SRCItemDatabase } = await boot());
+    const db = new SRCItemDatabase('old');
+    await flush();
+    assert.deepEqual(db.getAllKeys(), ['myItem']);
+    assert.equal(db.get('myItem').amount, 3);
+});
+
+test('setItems keeps the index of every item', async () => {
+    const { SRCItemDatabase } = await boot({ wipe: true });
+    const db = new SRCItemDatabase('kits');
+    db.setItems('starter', [new ItemStack('minecraft:bread', 16), undefined, new ItemStack('minecraft:stone_sword'), new ItemStack('minecraft:bread', 16)]);
+    await flush();
+    const items = db.getItems('starter');
+    assert.equal(items.length, 4);
+    assert.equal(items[0].typeId, 'minecraft:bread');
+    assert.equal(items[1], undefined);
+    assert.equal(items[2].typeId, 'minecraft:stone_sword');
+    assert.equal(items[3].typeId, 'minecraft:bread');
+});
+
+test('saveInventory and restoreInventory give back every slot', async () => {
+    const { SRCItemDatabase } = await boot({ wipe: true });
+    const db = new SRCItemDatabase('inventories');
+    const player = new Player('Steve'), container = player.getComponent('minecraft:inventory').container, equippable = player.getComponent('minecraft:equippable');
+    container.setItem(0, new ItemStack('minecraft:diamond_sword'));
+    container.setItem(35, new ItemStack('minecraft:torch', 12));
+    equippable.setEquipment('Head', new ItemStack('minecraft:diamond_helmet'));
+    equippable.setEquipment('Offhand', new ItemStack('minecraft:shield'));
+    db.saveInventory(player.id, player);
+    await flush();
+
+    container.clearAll();
+    container.setItem(0, new ItemStack('minecraft:dirt', 1));
+    equippable.setEquipment('Head', undefined);
+    assert.ok(db.restoreInventory(player.id, player, { mode: 'merge' }));
+    assert.equal(container.getItem(0).typeId, 'minecraft:dirt');
+    assert.equal(container.getItem(1).typeId, 'minecraft:diamond_sword');
+    assert.equal(container.getItem(35).amount, 12);
+    assert.equal(equippable.getEquipment('Head').typeId, 'minecraft:diamond_helmet');
+
+    assert.ok(db.restoreInventory(player.id, player, { mode: 'replace' }));
+    assert.equal(container.getItem(0).typeId, 'minecraft:diamond_sword');
+    assert.equal(container.getItem(1), undefined);
+    assert.equal(equippable.getEquipment('Offhand').typeId, 'minecraft:shield');
+    assert.throws(() => db.restoreInventory(player.id, player, { mode: 'swap' }), /Invalid restore mode/);
+});
+
+test('query finds keys by their item metadata', async () => {
+    let { SRCItemDatabase } = await boot({ wipe: true });
+    const db = new SRCItemDatabase('vault');
+    const sword = new ItemStack('minecraft:netherite_sword');
+    sword.getComponent('minecraft:enchantable').addEnchantment({ type: 'sharpness', level: 5 });
+    sword.setLore(['Owned by Alex']);
+    const dull = new ItemStack('minecraft:netherite_sword');
+    dull.getComponent('minecraft:enchantable').addEnchantment({ type: 'sharpness', level: 2 });
+    const named = new ItemStack('minecraft:diamond', 40);
+    named.nameTag = 'Shiny';
+    db.set('a', sword);
+    db.set('b', dull);
+    db.setItems('c', [new ItemStack('minecraft:dirt', 1), named]);
+    await flush();
+
+    assert.deepEqual(db.query({ typeId: 'minecraft:netherite_sword' }), ['a', 'b']);
+    assert.deepEqual(db.query({ typeId: 'minecraft:netherite_sword', enchantments: { 'minecraft:sharpness': 5 } }), ['a']);
+    assert.deepEqual(db.query({ lore: 'Alex' }), ['a']);
+    assert.deepEqual(db.query({ nameTag: /^Shi/, minAmount: 32 }), ['c']);
+    assert.deepEqual(db.query({ minAmount: 64 }), []);
+    await settle(db.delete('a'));
+    assert.deepEqual(db.query({ enchantments: { sharpness: 1 } }), ['b']);
+
+    ({ SRCItemDatabase } = await boot());
+    const reloaded = new SRCItemDatabase('vault');
+    assert.deepEqual(reloaded.query({ typeId: /diamond/ }), ['c']);
+});
+
+test('deletes run after the writes queued before them', async () => {
+    const { SRCItemDatabase } = await boot({ wipe: true });
+    const db = new SRCItemDatabase('items');
+    db.set('a', new ItemStack('minecraft:apple'));
+    const deleted = db.delete('a');
+    db.set('b', new ItemStack('minecraft:bread'));
+    const once = db.getOnce('b');
+    db.setItems('c', [new ItemStack('minecraft:dirt')]);
+    const cleared = db.clear();
+    await flush();
+    assert.equal(await deleted, true);
+    assert.equal((await once).typeId, 'minecraft:bread');
+    assert.equal(await cleared, true);
+    assert.deepEqual(db.getAllKeys(), []);
+    assert.deepEqual(world.structureManager.getWorldStructureIds(), []);
+    assert.deepEqual(await settle(db.deleteMany(['a', 'b'])), [false, false]);
+});
+
+test('onChange fires when items are set, deleted or cleared', async () => {
+    const { SRCItemDatabase } = await boot({ wipe: true });
+    const db = new SRCItemDatabase('shop'), other = new SRCItemDatabase('shop'), events = [];
+    db.onChange('*', ({ key, oldValue, newValue, type }) => events.push([key, type, oldValue?.typeId ?? oldValue?.length, newValue?.typeId ?? newValue?.length]));
+    other.set('a', new ItemStack('minecraft:apple'));
+    await flush();
+    other.set('a', new ItemStack('minecraft:bread'));
+    await flush();
+    other.setItems('b', [new ItemStack('minecraft:dirt'), new ItemStack('minecraft:stone')]);
+    await flush();
+    other.delete('a');
+    other.clear();
+    await flush();
+    assert.deepEqual(events, [
+        ['a', 'set', undefined, 'minecraft:apple'],
+        ['a', 'set', 'minecraft:apple', 'minecraft:bread'],
+        ['b', 'set', undefined, 2],
+        ['a', 'delete', 'minecraft:bread', undefined],
+        ['b', 'clear', 2, undefined]
+    ]);
+});
+
+test('json storage saves items without structures unless they need one', async () => {
+    let { SRCItemDatabase } = await boot({ wipe: true });
+    const db = new SRCItemDatabase('fast', undefined, { storage: 'json' });
+    const sword = new ItemStack('minecraft:diamond_sword');
+    sword.nameTag = 'Quick';
+    db.set('sword', sword);
+    db.set('potion', new ItemStack('minecraft:potion'));
+    db.setItems('kit', [new ItemStack('minecraft:bread', 8), undefined, new ItemStack('minecraft:torch', 4)]);
+    await flush();
+    assert.deepEqual(world.structureManager.getWorldStructureIds(), ['fast_item:potion']);
+    assert.equal(db.get('sword').nameTag, 'Quick');
+    assert.ok(db.hasAsync('sword'));
+
+    ({ SRCItemDatabase } = await boot());
+    const reloaded = new SRCItemDatabase('fast', undefined, { storage: 'json' });
+    await flush();
+    assert.equal(reloaded.get('sword').nameTag, 'Quick');
+    assert.equal(reloaded.get('potion').typeId, 'minecraft:potion');
+    const kit = reloaded.getItems('kit');
+    assert.equal(kit[0].amount, 8);
+    assert.equal(kit[1], undefined);
+    assert.equal(kit[2].typeId, 'minecraft:torch');
+    assert.ok(await settle(reloaded.delete('sword')));
+    assert.equal(reloaded.hasAsync('sword'), false);
+    assert.throws(() => new SRCItemDatabase('fast', undefined, { storage: 'disk' }), /Invalid storage mode/);
+});
+
+test('every key of an item table has its own entry in the manager tables', async () => {
+    const { SRCItemDatabase, manager } = await boot({ wipe: true });
+    const db = new SRCItemDatabase('kits', undefined, { storage: 'json' });
+    db.set('sword', new ItemStack('minecraft:diamond_sword'));
+    db.setItems('starter', [new ItemStack('minecraft:bread', 4)]);
+    await flush();
+    assert.deepEqual(manager.Databases.itemKeys.collection(), { 'kits_item:sword': 'sword', 'kits_item:starter': 'starter' });
+    assert.deepEqual(manager.Databases.itemMeta.keys(), ['kits_item:sword', 'kits_item:starter']);
+    assert.deepEqual(manager.Databases.itemData.keys(), ['kits_item:sword', 'kits_item:starter']);
+    db.delete('sword');
+    await flush();
+    assert.deepEqual(manager.Databases.itemKeys.keys(), ['kits_item:starter']);
+    assert.deepEqual(db.query({ typeId: 'minecraft:bread' }), ['starter']);
+});
+
+test('items set with a ttl are deleted and handed to onExpire', async (t) => {
+    let now = 1000;
+    t.mock.method(Date, 'now', () => now);
+    let { SRCItemDatabase } = await boot({ wipe: true });
+    const db = new SRCItemDatabase('auction');
+    db.set('listing', new ItemStack('minecraft:diamond', 3), { ttl: 1000 });
+    db.setItems('kit', [new ItemStack('minecraft:bread', 2), new ItemStack('minecraft:torch', 8)], { ttl: 1000 });
+    db.set('kept', new ItemStack('minecraft:dirt'));
+    await flush();
+
+    ({ SRCItemDatabase } = await boot());
+    const reloaded = new SRCItemDatabase('auction'), expired = {};
+    await flush();
+    reloaded.onExpire(({ key, value }) => expired[key] = value);
+    now += 2000;
+    assert.equal(reloaded.get('listing'), undefined);
+    tick(20), await flush();
+    assert.equal(expired.listing.amount, 3);
+    assert.deepEqual(expired.kit.map(item => item.typeId), ['minecraft:bread', 'minecraft:torch']);
+    assert.deepEqual(reloaded.getAllKeys(), ['kept']);
+    assert.deepEqual(world.structureManager.getWorldStructureIds(), ['auction_item:kept']);
+});
+
+test('expired keys wait for the item zone before they are swept', async (t) => {
+    let now = 1000;
+    t.mock.method(Date, 'now', () => now);
+    const { SRCItemDatabase } = await boot({ wipe: true });
+    const db = new SRCItemDatabase('auction', undefined, { history: 5 }), overworld = world.getDimension('overworld'), expired = [];
+    db.onExpire(({ key, value }) => expired.push([key, value.typeId]));
+    db.set('listing', new ItemStack('minecraft:diamond', 3), { ttl: 1000 });
+    await flush();
+
+    overworld.loaded = false;
+    now += 2000;
+    assert.doesNotThrow(() => (tick(20), tick(20)));
+    await flush();
+    assert.deepEqual(expired, []);
+    assert.deepEqual(db.storedKeys(), ['listing']);
+
+    overworld.loaded = true;
+    tick(SRCItemDatabase.zoneInterval), await flush();
+    assert.deepEqual(expired, [['listing', 'minecraft:diamond']]);
+    assert.deepEqual(db.getAllKeys(), []);
+    assert.deepEqual(db.history('listing').map(({ version, type }) => [version, type]), [[1, 'delete']]);
+});
+
+test('expired keys are left out of every read of an item table before they are swept', async (t) => {
+    let now = 1000;
+    t.mock.method(Date, 'now', () => now);
+    const { SRCItemDatabase } = await boot({ wipe: true });
+    const db = new SRCItemDatabase('auction', undefined, { storage: 'json' }), expired = [];
+    db.onExpire(({ key, value }) => expired.push([key, Array.isArray(value) ? value.length : value.typeId]));
+    db.set('listing', new ItemStack('minecraft:diamond', 3), { ttl: 1000 });
+    db.setItems('bundle', [new ItemStack('minecraft:emerald', 2), undefined, new ItemStack('minecraft:emerald')], { ttl: 1000 });
+    db.set('forever', new ItemStack('minecraft:dirt'));
+    await flush();
+
+    world.getDimension('overworld').loaded = false;
+    now += 2000;
+    tick(20), await flush();
+    assert.deepEqual(db.getAllKeys(), ['forever']);
+    assert.equal(db.has('listing'), false);
+    assert.equal(db.hasAsync('listing'), false);
+    assert.equal(db.get('listing'), undefined);
+    assert.equal(db.getAsync('listing'), undefined);
+    assert.deepEqual(db.getItems('bundle'), []);
+    assert.deepEqual(db.query({ typeId: 'minecraft:diamond' }), []);
+    assert.deepEqual(db.query({ typeId: 'minecraft:emerald' }), []);
+    assert.deepEqual(db.query({ typeId: 'minecraft:dirt' }), ['forever']);
+
+    world.getDimension('overworld').loaded = true;
+    tick(SRCItemDatabase.zoneInterval), await flush();
+    assert.deepEqual(expired, [['listing', 'minecraft:diamond'], ['bundle', 3]]);
+    assert.deepEqual(db.storedKeys(), ['forever']);
+});
+
+test('writes return promises and are spread across ticks', async () => {
+    const { SRCItemDatabase } = await boot({ wipe: true });
+    const db = new SRCItemDatabase('bulk');
+    await flush();
+    const saved = db.setMany(Array.from({ length: 50 }, (_, i) => ({ key: `item${i}`, item: new ItemStack('minecraft:stone', i + 1) })));
+    const start = system.currentTick;
+    await flush();
+    assert.ok(system.currentTick - start >= 50);
+    assert.deepEqual(await saved, new Array(50).fill(true));
+    assert.equal(db.get('item49').amount, 50);
+
+    const failed = assert.rejects(db.setItems('broken', [{ typeId: 'minecraft:air' }]), /clone is not a function/);
+    await flush();
+    await failed;
+    const kit = db.setItems('kit', [new ItemStack('minecraft:bread')]);
+    await flush();
+    assert.equal(await kit, true);
+});
+
+test('verify and repair fix a drifted structure index', async () => {
+    let { SRCItemDatabase, manager } = await boot({ wipe: true });
+    const db = new SRCItemDatabase('drift');
+    db.set('kept', new ItemStack('minecraft:stone'));
+    db.set('lost', new ItemStack('minecraft:dirt'));
+    await flush();
+    assert.equal(db.verify().ok, true);
+
+    const dimension = world.getDimension('overworld'), location = { x: 1000000, y: -50, z: 1000000 };
+    dimension.spawnItem(new ItemStack('minecraft:apple', 2), { x: location.x + 0.5, y: location.y, z: location.z + 0.5 });
+    world.structureManager.createFromWorld('drift_item:stray', dimension, location, location);
+    dimension.getEntities().forEach(entity => entity.remove());
+    world.structureManager.delete('drift_item:lost');
+    await manager.Databases.structureIds.set('drift_item:', 2);
+
+    ({ SRCItemDatabase, manager } = await boot());
+    const reloaded = new SRCItemDatabase('drift');
+    await flush();
+    const report = reloaded.verify();
+    assert.equal(report.ok, false);
+    assert.equal(report.corrupt, true);
+    assert.deepEqual(report.orphaned.sort(), ['drift_item:kept', 'drift_item:stray']);
+    assert.deepEqual(report.missingKeys, ['lost']);
+
+    reloaded.repair();
+    assert.equal(reloaded.verify().ok, true);
+    assert.deepEqual(reloaded.getAllKeys().sort(), ['kept', 'stray']);
+    assert.equal(reloaded.get('stray').amount, 2);
+    assert.deepEqual(manager.Databases.structureIds.get('drift_item:').sort(), ['drift_item:kept', 'drift_item:stray']);
+
+    world.structureManager.createFromWorld('drift_item:junk', dimension, location, location);
+    reloaded.repair({ deleteOrphans: true });
+    assert.equal(world.structureManager.get('drift_item:junk'), undefined);
+    assert.deepEqual(reloaded.getAllKeys().sort(), ['kept', 'stray']);
+});
+
+test('history keeps the replaced and deleted versions of a key', async () => {
+    let { SRCItemDatabase } = await boot({ wipe: true });
+    const db = new SRCItemDatabase('bank', undefined, { history: 5 }), sword = new ItemStack('minecraft:diamond_sword');
+    sword.nameTag = 'Excalibur';
+    db.set('sword', sword, { actor: 'Steve' });
+    db.set('sword', new ItemStack('minecraft:wooden_sword'), { actor: 'Admin' });
+    await flush();
+    await settle(db.delete('sword', { actor: 'Admin' }));
+    assert.deepEqual(db.history('sword').map(({ version, type, actor }) => [version, type, actor]), [[2, 'delete', 'Admin'], [1, 'set', 'Admin']]);
+    assert.equal(db.get('sword'), undefined);
+
+    ({ SRCItemDatabase } = await boot());
+    const reloaded = new SRCItemDatabase('bank', undefined, { history: 5 });
+    await flush();
+    reloaded.restore('sword', 1, { actor: 'Admin' });
+    await flush();
+    assert.equal(reloaded.get('sword').nameTag, 'Excalibur');
+    assert.deepEqual(reloaded.history('sword').map(({ version }) => version), [2, 1]);
+    assert.throws(() => reloaded.restore('sword', 9), /Version 9/);
+    assert.equal(world.getDimension('overworld').getEntities({ type: 'minecraft:item' }).length, 0);
+    assert.deepEqual(new SRCItemDatabase('plain').history('sword'), []);
+});
+
+test('a list with one item stays a list after a restart and keeps its slot in the history', async () => {
+    let { SRCItemDatabase } = await boot({ wipe: true });
+    const db = new SRCItemDatabase('bank', undefined, { history: 5 });
+    db.setItems('loot', [undefined, undefined, undefined, undefined, undefined, new ItemStack('minecraft:emerald', 7)]);
+    await flush();
+
+    ({ SRCItemDatabase } = await boot());
+    const reloaded = new SRCItemDatabase('bank', undefined, { history: 5 });
+    await flush();
+    assert.ok(reloaded.isList('loot'));
+    assert.equal(reloaded.get('loot')[5].amount, 7);
+    reloaded.setItems('loot', [new ItemStack('minecraft:dirt')]);
+    await flush();
+    reloaded.restore('loot', 1);
+    await flush();
+    const items = reloaded.getItems('loot');
+    assert.equal(items[0], undefined);
+    assert.equal(items[5].typeId, 'minecraft:emerald');
+});
+
+test('history restores item lists saved with json storage', async () => {
+    const { SRCItemDatabase } = await boot({ wipe: true });
+    const db = new SRCItemDatabase('kits', undefined, { storage: 'json', history: true });
+    db.setItems('starter', [new ItemStack('minecraft:bread', 8), undefined, new ItemStack('minecraft:stone_sword')]);
+    db.setItems('starter', [new ItemStack('minecraft:dirt')]);
+    await flush();
+    db.restore('starter', 1);
+    await flush();
+    assert.deepEqual(db.getItems('starter').map(item => item?.typeId), ['minecraft:bread', undefined, 'minecraft:stone_sword']);
+    assert.deepEqual(world.structureManager.getWorldStructureIds(), []);
+});
+
+test('history drops versions past the retention policy', async (t) => {
+    let now = 1000;
+    t.mock.method(Date, 'now', () => now);
+    const { SRCItemDatabase } = await boot({ wipe: true });
+    assert.throws(() => new SRCItemDatabase('bad', undefined, { history: 0 }), /history versions/);
+    const db = new SRCItemDatabase('log', undefined, { history: { versions: 2, maxAge: 60000 } });
+    for (const amount of [1, 2, 3, 4]) db.set('stone', new ItemStack('minecraft:stone', amount));
+    await flush();
+    assert.deepEqual(db.history('stone').map(({ version }) => version), [3, 2]);
+    assert.equal(world.structureManager.getWorldStructureIds().filter(id => id.startsWith('log_hist:')).length, 2);
+
+    now += 61000;
+    assert.equal(db.pruneHistory(), 2);
+    assert.deepEqual(db.history('stone'), []);
+    assert.deepEqual(world.structureManager.getWorldStructureIds(), ['log_item:stone']);
+    assert.equal(db.get('stone').amount, 4);
+});
+
+test('item tables with a namespace use their own structures, zone and storage', async () => {
+    let { SRCItemDatabase, manager } = await boot({ wipe: true });
+    const shop = new SRCItemDatabase('items', undefined, { namespace: 'shop', history: true }), plain = new SRCItemDatabase('items');
+    shop.set('sword', new ItemStack('minecraft:diamond_sword'));
+    shop.set('sword', new ItemStack('minecraft:iron_sword'));
+    plain.set('sword', new ItemStack('minecraft:wooden_sword'));
+    await flush();
+    assert.ok(world.structureManager.getWorldStructureIds().some(id => id.startsWith('shop.items_item:')));
+    assert.ok(world.structureManager.getWorldStructureIds().some(id => id.startsWith('shop.items_hist:')));
+    assert.notDeepEqual(shop.location, plain.location);
+    assert.ok(world.getDimension('overworld').commands.some(command => command.endsWith('"shop_idb" true')));
+    assert.deepEqual(manager.Databases.itemKeys.keys(), ['items_item:sword']);
+    assert.deepEqual(manager.databases('shop').itemKeys.keys(), ['shop.items_item:sword']);
+
+    ({ SRCItemDatabase } = await boot());
+    assert.deepEqual(SRCItemDatabase.tableNames('shop'), ['items']);
+    assert.equal(SRCItemDatabase.open('items', undefined, { namespace: 'shop' }).getAsync('sword').typeId, 'minecraft:iron_sword');
+    assert.equal(SRCItemDatabase.clearStorage('shop'), 2);
+    await flush();
+    assert.ok(world.getDimension('overworld').commands.includes('tickingarea remove "shop_idb"'));
+    assert.deepEqual(world.structureManager.getWorldStructureIds(), ['items_item:sword']);
+    assert.deepEqual(SRCItemDatabase.open('items', undefined, { namespace: 'shop' }).getAllKeys(), []);
+    assert.equal(SRCItemDatabase.open('items').getAsync('sword').typeId, 'minecraft:wooden_sword');
+});
+
+test('a table name with a dot does not share the structures of a namespace', async () => {
+    const { SRCItemDatabase } = await boot({ wipe: true });
+    const dotted = new SRCItemDatabase('shop.items'), shop = new SRCItemDatabase('items', undefined, { namespace: 'shop' });
+    dotted.set('sword', new ItemStack('minecraft:wooden_sword'));
+    shop.set('sword', new ItemStack('minecraft:diamond_sword'));
+    await flush();
+    assert.notEqual(dotted.table, shop.table);
+    assert.equal(world.structureManager.getWorldStructureIds().length, 2);
+    assert.equal(SRCItemDatabase.clearStorage('shop'), 1);
+    assert.equal(dotted.getAsync('sword').typeId, 'minecraft:wooden_sword');
+    assert.deepEqual(shop.getAllKeys(), []);
+});
+
+test('clearStorage works when the ticking area is already gone', async (t) => {
+    const { SRCItemDatabase } = await boot({ wipe: true });
+    const db = new SRCItemDatabase('items', undefined, { namespace: 'shop' });
+    db.set('sword', new ItemStack('minecraft:diamond_sword'));
+    await flush();
+    t.mock.method(world.getDimension('overworld'), 'runCommand', () => { throw new Error('No ticking area named shop_idb') });
+    assert.equal(SRCItemDatabase.clearStorage('shop'), 1);
+    assert.deepEqual(db.getAllKeys(), []);
+});
+
+test('namespaces that would share an item zone are refused', async () => {
+    const { SRCItemDatabase } = await boot({ wipe: true });
+    new SRCItemDatabase('items', undefined, { namespace: 'addon72' });
+    assert.deepEqual({ ...SRCItemDatabase.locationOf('addon72') }, { ...SRCItemDatabase.locationOf('addon100') });
+    assert.throws(() => new SRCItemDatabase('items', undefined, { namespace: 'addon100' }), /"addon72" and "addon100" would share the item zone/);
+    assert.doesNotThrow(() => new SRCItemDatabase('kits', undefined, { namespace: 'addon72' }));
+});
+
+test('the item zone can be moved to another dimension and location', async (t) => {
+    const { SRCItemDatabase } = await boot({ wipe: true });
+    assert.throws(() => SRCItemDatabase.configureZone({ location: { x: 0, y: NaN, z: 0 } }), /Invalid zone location/);
+    assert.throws(() => SRCItemDatabase.configureZone({ dimension: {} }), /Invalid zone dimension/);
+    SRCItemDatabase.configureZone({ dimension: 'nether', location: { x: 10.5, y: 64, z: -20 } });
+    const db = new SRCItemDatabase('items'), nether = world.getDimension('nether');
+    await flush();
+    assert.deepEqual({ ...db.location }, { x: 10, y: 64, z: -20 });
+    assert.ok(nether.commands.includes('tickingarea add circle 10 64 -20 2 "idb" true'));
+    assert.equal(nether.getBlock({ x: 10, y: 63, z: -20 }).typeId, 'minecraft:bedrock');
+    assert.equal(nether.getBlock({ x: 10, y: 65, z: -20 }).typeId, 'minecraft:air');
+    db.set('sword', new ItemStack('minecraft:diamond_sword'));
+    await flush();
+    assert.equal(db.getAsync('sword').typeId, 'minecraft:diamond_sword');
+    assert.deepEqual(world.getDimension('overworld').commands, []);
+
+    t.mock.method(nether, 'runCommand', () => { throw new Error('No ticking area named idb') });
+    SRCItemDatabase.configureZone({ location: { x: 0, y: 64, z: 0 } });
+    assert.deepEqual({ ...db.location }, { x: 0, y: 64, z: 0 });
+});
+
+test('reads and writes wait until the item zone is loaded', async () => {
+    const { SRCItemDatabase } = await boot({ wipe: true });
+    const overworld = world.getDimension('overworld');
+    overworld.loaded = false;
+    const db = new SRCItemDatabase('items');
+    let ready = false, saved = false;
+    db.ready.then(() => ready = true);
+    db.set('sword', new ItemStack('minecraft:diamond_sword')).then(() => saved = true);
+    await flush();
+    tick(20), await flush();
+    assert.equal(ready, false);
+    assert.deepEqual(world.structureManager.getWorldStructureIds(), []);
+
+    overworld.loaded = true;
+    tick(SRCItemDatabase.zoneInterval), await flush();
+    assert.equal(ready, true);
+    assert.equal(saved, true);
+    assert.equal(db.get('sword').typeId, 'minecraft:diamond_sword');
+
+    overworld.loaded = false;
+    saved = false;
+    db.set('shield', new ItemStack('minecraft:shield')).then(() => saved = true);
+    await flush();
+    assert.equal(overworld.commands.filter(command => command.startsWith('tickingarea add')).length, 2);
+    assert.equal(db.getAsync('sword').typeId, 'minecraft:diamond_sword');
+    overworld.loaded = true;
+    tick(SRCItemDatabase.zoneInterval), await flush();
+    assert.equal(saved, true);
+    assert.equal(db.getAsync('shield').typeId, 'minecraft:shield');
+});
+
+test('repairZone removes stray items and puts back replaced blocks', async () => {
+    const { SRCItemDatabase } = await boot({ wipe: true });
+    const db = new SRCItemDatabase('items'), overworld = world.getDimension('overworld');
+    await db.ready;
+    assert.deepEqual(db.repairZone(), { strayItems: 0, replacedBlocks: 0 });
+    overworld.spawnItem(new ItemStack('minecraft:rotten_flesh'), { x: 1000000.5, y: -50, z: 1000000.5 });
+    overworld.getBlock({ x: 1000001, y: -51, z: 999999 }).setType('minecraft:dirt');
+    overworld.getBlock({ x: 1000000, y: -49, z: 1000000 }).setType('minecraft:cobblestone');
+    assert.deepEqual(db.repairZone(), { strayItems: 1, replacedBlocks: 2 });
+    assert.equal(overworld.getBlock({ x: 1000001, y: -51, z: 999999 }).typeId, 'minecraft:bedrock');
+    assert.equal(overworld.getBlock({ x: 1000000, y: -49, z: 1000000 }).typeId, 'minecraft:air');
+    assert.equal(overworld.getEntities({ type: 'minecraft:item' }).length, 0);
+});
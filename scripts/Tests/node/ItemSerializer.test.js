@@ -0,0 +1,43 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ItemStack } from '@minecraft/server';
+import ItemSerializer from '../../ItemSerializer.js';
+
+test('ItemSerializer keeps the data of an itemStack', () => {
+    const sword = new ItemStack('minecraft:diamond_sword');
+    sword.nameTag = 'Excalibur';
+    sword.setLore(['Line 1', 'Line 2']);
+    sword.getComponent('minecraft:enchantable').addEnchantment({ type: 'sharpness', level: 4 });
+    sword.getComponent('minecraft:durability').damage = 120;
+    sword.setDynamicProperty('owner', 'Steve');
+    sword.setDynamicProperty('home', { x: 1, y: 2, z: 3 });
+    sword.setCanDestroy(['minecraft:stone']);
+    sword.lockMode = 'slot';
+    sword.keepOnDeath = true;
+
+    const copy = ItemSerializer.fromJSON(ItemSerializer.toJSON(sword));
+    assert.equal(copy.typeId, 'minecraft:diamond_sword');
+    assert.equal(copy.nameTag, 'Excalibur');
+    assert.deepEqual(copy.getLore(), ['Line 1', 'Line 2']);
+    assert.equal(copy.getComponent('minecraft:enchantable').getEnchantment('sharpness').level, 4);
+    assert.equal(copy.getComponent('minecraft:durability').damage, 120);
+    assert.equal(copy.getDynamicProperty('owner'), 'Steve');
+    assert.deepEqual(copy.getDynamicProperty('home'), { x: 1, y: 2, z: 3 });
+    assert.deepEqual(copy.getCanDestroy(), ['minecraft:stone']);
+    assert.deepEqual(copy.getCanPlaceOn(), []);
+    assert.equal(copy.lockMode, 'slot');
+    assert.equal(copy.keepOnDeath, true);
+});
+
+test('ItemSerializer leaves out default values', () => {
+    assert.deepEqual(ItemSerializer.serialize(new ItemStack('minecraft:stone', 12)), { typeId: 'minecraft:stone', amount: 12 });
+});
+
+test('ItemSerializer rejects items with data it cannot keep', () => {
+    assert.ok(ItemSerializer.isSerializable(new ItemStack('minecraft:diamond_sword')));
+    assert.equal(ItemSerializer.isSerializable(new ItemStack('minecraft:potion')), false);
+    assert.equal(ItemSerializer.isSerializable(new ItemStack('minecraft:red_shulker_box')), false);
+    assert.equal(ItemSerializer.isSerializable(new ItemStack('minecraft:written_book')), false);
+    for (const typeId of ['minecraft:diamond_chestplate', 'minecraft:leather_horse_armor', 'minecraft:wolf_armor', 'minecraft:shield', 'minecraft:lodestone_compass', 'minecraft:tipped_arrow'])
+        assert.equal(ItemSerializer.isSerializable(new ItemStack(typeId)), false, typeId);
+});
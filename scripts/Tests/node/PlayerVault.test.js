@@ -0,0 +1,127 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ItemStack, Player, tick, world } from '@minecraft/server';
+import { boot, flush } from './helpers.js';
+
+const settle = async promise => (await flush(), promise);
+
+test('a vault merges deposits into stacks and keeps them after a restart', async () => {
+    let { vault } = await boot({ wipe: true });
+    const player = new Player('Steve'), steve = vault(player);
+    assert.equal(steve.capacity, 27);
+    assert.equal(await settle(steve.deposit(new ItemStack('minecraft:stone', 40))), undefined);
+    assert.equal(await settle(steve.deposit(new ItemStack('minecraft:stone', 40))), undefined);
+    assert.equal(await settle(steve.deposit(new ItemStack('minecraft:diamond_sword'))), undefined);
+    assert.deepEqual(steve.list().slice(0, 4).map(item => item && [item.typeId, item.amount]), [['minecraft:stone', 64], ['minecraft:stone', 16], ['minecraft:diamond_sword', 1], undefined]);
+
+    ({ vault } = await boot());
+    const reloaded = vault(player.id);
+    assert.equal(reloaded.name, 'Steve');
+    assert.equal(reloaded.size, 3);
+    assert.equal(reloaded.list()[1].amount, 16);
+});
+
+test('a vault withdraws slots and gives back what does not fit', async () => {
+    const { vault } = await boot({ wipe: true });
+    const steve = vault(new Player('Steve'));
+    await settle(steve.setCapacity(2));
+    assert.equal(steve.capacity, 2);
+    await settle(steve.deposit(new ItemStack('minecraft:dirt', 64)));
+    const leftover = await settle(steve.deposit(new ItemStack('minecraft:dirt', 100)));
+    assert.equal(leftover.amount, 36);
+
+    const item = await settle(steve.withdraw(0));
+    assert.equal(item.amount, 64);
+    assert.equal(await settle(steve.withdraw(0)), undefined);
+    await assert.rejects(steve.withdraw(2), /from 0 to 1/);
+    assert.deepEqual(steve.list().map(item => item?.amount), [undefined, 64]);
+    await assert.rejects(steve.setCapacity(1), /slot 1/);
+    await assert.rejects(steve.setCapacity(1024), /from 1 to 1023/);
+});
+
+test('vaults are kept apart by player id and can be found while offline', async () => {
+    let { vault, PlayerVault } = await boot({ wipe: true });
+    const steve = new Player('Steve'), alex = new Player('Alex');
+    await settle(vault(steve).deposit(new ItemStack('minecraft:apple', 3)));
+    await settle(vault(alex).deposit(new ItemStack('minecraft:bread', 5)));
+
+    ({ vault, PlayerVault } = await boot());
+    const offline = PlayerVault.find('Alex');
+    assert.equal(offline.id, alex.id);
+    assert.deepEqual(offline.list().filter(Boolean).map(item => item.typeId), ['minecraft:bread']);
+    assert.deepEqual(vault(steve.id).list().filter(Boolean).map(item => item.typeId), ['minecraft:apple']);
+    assert.equal(PlayerVault.find('Herobrine'), undefined);
+    assert.throws(() => vault(undefined), /player or a player id/);
+});
+
+test('vaults with a namespace are kept apart and cleared with it', async () => {
+    let { vault, PlayerVault, SRCItemDatabase } = await boot({ wipe: true });
+    const steve = new Player('Steve');
+    await settle(vault(steve, { namespace: 'shop' }).deposit(new ItemStack('minecraft:emerald', 9)));
+    await settle(vault(steve).deposit(new ItemStack('minecraft:apple', 3)));
+
+    ({ vault, PlayerVault, SRCItemDatabase } = await boot());
+    const shop = PlayerVault.find('Steve', { namespace: 'shop' });
+    await settle(shop.load());
+    assert.deepEqual(shop.list().filter(Boolean).map(item => [item.typeId, item.amount]), [['minecraft:emerald', 9]]);
+    assert.equal(PlayerVault.storageOf('shop').table, 'shop.vaults_item:');
+    await settle(vault(steve.id).load());
+    assert.deepEqual(vault(steve.id).list().filter(Boolean).map(item => item.typeId), ['minecraft:apple']);
+
+    SRCItemDatabase.clearStorage('shop');
+    assert.equal(PlayerVault.find('Steve', { namespace: 'shop' }), undefined);
+    assert.equal(PlayerVault.find('Steve').id, steve.id);
+});
+
+test('a vault cleared with its namespace does not bring back the old items', async () => {
+    const { vault, SRCItemDatabase } = await boot({ wipe: true });
+    const shop = vault(new Player('Steve'), { namespace: 'shop' });
+    await settle(shop.deposit(new ItemStack('minecraft:emerald', 9)));
+    assert.equal(shop.size, 1);
+
+    SRCItemDatabase.clearStorage('shop');
+    assert.deepEqual(shop.list().filter(Boolean), []);
+    await settle(shop.deposit(new ItemStack('minecraft:bread', 2)));
+    assert.deepEqual(shop.list().filter(Boolean).map(item => [item.typeId, item.amount]), [['minecraft:bread', 2]]);
+});
+
+test('a vault holding items that need a structure can be read right after a restart', async () => {
+    let { vault } = await boot({ wipe: true });
+    const player = new Player('Steve');
+    await settle(vault(player).deposit(new ItemStack('minecraft:red_shulker_box')));
+
+    ({ vault } = await boot());
+    assert.equal(vault(player.id).list()[0].typeId, 'minecraft:red_shulker_box');
+});
+
+test('a vault changed while the zone is not loaded keeps the items saved before', async () => {
+    let { vault, SRCItemDatabase } = await boot({ wipe: true });
+    const player = new Player('Steve');
+    await settle(vault(player).deposit(new ItemStack('minecraft:red_shulker_box')));
+
+    ({ vault, SRCItemDatabase } = await boot());
+    const overworld = world.getDimension('overworld');
+    overworld.loaded = false;
+    const steve = vault(player.id), deposit = steve.deposit(new ItemStack('minecraft:dirt', 5));
+    assert.deepEqual(steve.list().filter(Boolean), []);
+    await flush();
+    overworld.loaded = true;
+    tick(SRCItemDatabase.zoneInterval);
+    assert.equal(await settle(deposit), undefined);
+    assert.deepEqual(steve.list().filter(Boolean).map(item => item.typeId), ['minecraft:red_shulker_box', 'minecraft:dirt']);
+});
+
+test('opening a vault does not write, so it works where the world is read-only', async () => {
+    const { vault } = await boot({ wipe: true });
+    const player = new Player('Steve');
+    await settle(vault(player.id).deposit(new ItemStack('minecraft:apple')));
+    world.readOnly = true;
+    try {
+        assert.equal(vault(player).list()[0].typeId, 'minecraft:apple');
+    } finally {
+        world.readOnly = false;
+    }
+    assert.equal(vault(player.id).name, undefined);
+    await settle(vault(player).withdraw(0));
+    assert.equal(vault(player.id).name, 'Steve');
+});
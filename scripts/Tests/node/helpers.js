@@ -0,0 +1,38 @@
+import * as server from '@minecraft/server';
+
+let generation = 0;
+
+/**
+ * Restarts the fake server and loads a fresh copy of the library, then fires startup and worldLoad.
+ * @param {{ wipe?: boolean }} options wipe starts from an empty world instead of keeping the saved data
+ * @returns {Promise<{ BDatabase: typeof import('../../Database.js').default, SRCItemDatabase: typeof import('../../ItemDatabase.js').default, manager: typeof import('../../DBManager.js'), DatabaseCommands: typeof import('../../DBCommands.js').default, PlayerVault: typeof import('../../PlayerVault.js').default, vault: typeof import('../../PlayerVault.js').vault, ItemBank: typeof import('../../ItemBank.js').default, commands: import('@minecraft/server').CustomCommandRegistry, Vector: typeof import('../../lib/Vector.js').Vector }>}
+ */
+export async function boot({ wipe = false } = {}) {
+    wipe ? server.reset() : server.restart();
+    const search = `?gen=${++generation}`;
+    const [Database, ItemDatabase, manager, DBCommands, Vault, Bank, { Vector }] = await Promise.all([
+        import(`../../Database.js${search}`),
+        import(`../../ItemDatabase.js${search}`),
+        import(`../../DBManager.js${search}`),
+        import(`../../DBCommands.js${search}`),
+        import(`../../PlayerVault.js${search}`),
+        import(`../../ItemBank.js${search}`),
+        import(`../../lib/Vector.js${search}`)
+    ]);
+    const commands = server.startup();
+    server.load();
+    return { BDatabase: Database.default, SRCItemDatabase: ItemDatabase.default, manager, DatabaseCommands: DBCommands.default, PlayerVault: Vault.default, vault: Vault.vault, ItemBank: Bank.default, commands, Vector };
+}
+
+/**
+ * Waits until pending promises and queued item database tasks have run, ticking the fake server while jobs are left.
+ * @param {number} maxTicks The most ticks to run before giving up
+ */
+export async function flush(maxTicks = 1000) {
+    for (let i = 0; i < maxTicks; i++) {
+        for (let j = 0; j < 5; j++) await new Promise(resolve => setImmediate(resolve));
+        if (server.system.jobs.size === 0) return;
+        server.tick();
+    }
+    throw new Error(`Jobs still running after ${maxTicks} ticks`);
+}
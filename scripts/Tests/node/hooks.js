@@ -0,0 +1,16 @@
+/**
+ * Module resolution hooks for the Node test suite.
+ * Resolves @minecraft/server to the in-memory mock, and passes the query string of a module
+ * on to its relative imports so that `import('../../ItemDatabase.js?gen=2')` loads a fresh copy
+ * of the whole library, the same way a server restart does.
+ */
+const mock = new URL('./mock/server.js', import.meta.url).href;
+
+export async function resolve(specifier, context, nextResolve) {
+    if (specifier === '@minecraft/server') return { url: mock, shortCircuit: true };
+    const result = await nextResolve(specifier, context);
+    const search = context.parentURL && new URL(context.parentURL).search;
+    if (search && specifier.startsWith('.') && result.url !== mock && !new URL(result.url).search)
+        return { ...result, url: result.url + search };
+    return result;
+}
@@ -0,0 +1,411 @@
+/**
+ * In-memory stand-in for the parts of @minecraft/server used by the databases.
+ * Dynamic properties and structures saved with StructureSaveMode.World survive `restart()`,
+ * everything else (entities, memory structures, scheduled runs, subscriptions) does not.
+ */
+
+export const StructureSaveMode = { Memory: 'Memory', World: 'World' };
+export const EquipmentSlot = { Chest: 'Chest', Feet: 'Feet', Head: 'Head', Legs: 'Legs', Mainhand: 'Mainhand', Offhand: 'Offhand' };
+export const ItemLockMode = { inventory: 'inventory', none: 'none', slot: 'slot' };
+export const CommandPermissionLevel = { Any: 0, GameDirectors: 1, Admin: 2, Host: 3, Owner: 4 };
+export const CustomCommandParamType = { Boolean: 0, Integer: 1, Float: 2, String: 3, EntitySelector: 4, PlayerSelector: 5, Location: 6, BlockType: 7, ItemType: 8, Enum: 9 };
+export const CustomCommandSource = { Block: 'Block', Entity: 'Entity', NPCDialogue: 'NPCDialogue', Server: 'Server' };
+export const CustomCommandStatus = { Success: 0, Failure: 1 };
+
+const maxAmounts = { 'minecraft:diamond_sword': 1, 'minecraft:netherite_sword': 1, 'minecraft:diamond_helmet': 1, 'minecraft:shield': 1, 'minecraft:potion': 1, 'minecraft:ender_pearl': 16 };
+const maxDurabilities = { 'minecraft:diamond_sword': 1561, 'minecraft:netherite_sword': 2031, 'minecraft:diamond_helmet': 363, 'minecraft:shield': 336 };
+
+export class EnchantmentType {
+    constructor(id) { this.id = id.replace('minecraft:', '') };
+}
+
+export const EnchantmentTypes = { get: id => new EnchantmentType(id) };
+
+class ItemEnchantableComponent {
+    static componentId = 'minecraft:enchantable';
+    constructor() { this.enchantments = new Map() };
+    addEnchantment({ type, level }) {
+        const id = typeof type == 'string' ? new EnchantmentType(type).id : type.id;
+        this.enchantments.set(id, level);
+    };
+    addEnchantments(enchantments) { enchantments.forEach(enchantment => this.addEnchantment(enchantment)) };
+    getEnchantments() { return [...this.enchantments].map(([id, level]) => ({ type: new EnchantmentType(id), level })) };
+    getEnchantment(type) {
+        const id = typeof type == 'string' ? new EnchantmentType(type).id : type.id;
+        return this.enchantments.has(id) ? { type: new EnchantmentType(id), level: this.enchantments.get(id) } : undefined;
+    };
+    hasEnchantment(type) { return Boolean(this.getEnchantment(type)) };
+    removeAllEnchantments() { this.enchantments.clear() };
+}
+
+export class ItemStack {
+    constructor(typeId, amount = 1) {
+        this.typeId = typeId.includes(':') ? typeId : `minecraft:${typeId}`;
+        this.amount = amount;
+        this.nameTag = undefined;
+        this.lore = [];
+        this.lockMode = ItemLockMode.none;
+        this.keepOnDeath = false;
+        this.canPlaceOn = [];
+        this.canDestroy = [];
+        this.dynamicProperties = {};
+        this.components = { [ItemEnchantableComponent.componentId]: new ItemEnchantableComponent() };
+        if (maxDurabilities[this.typeId]) this.components['minecraft:durability'] = { typeId: 'minecraft:durability', damage: 0, maxDurability: maxDurabilities[this.typeId] };
+        if (this.typeId === 'minecraft:potion') this.components['minecraft:potion'] = { typeId: 'minecraft:potion' };
+        this.components[ItemEnchantableComponent.componentId].typeId = ItemEnchantableComponent.componentId;
+    }
+    get enchantable() { return this.components[ItemEnchantableComponent.componentId] };
+    getComponent(id) { return this.components[id.includes(':') ? id : `minecraft:${id}`] };
+    getComponents() { return Object.values(this.components) };
+    getCanPlaceOn() { return [...this.canPlaceOn] };
+    setCanPlaceOn(blocks) { this.canPlaceOn = [...(blocks ?? [])] };
+    getCanDestroy() { return [...this.canDestroy] };
+    setCanDestroy(blocks) { this.canDestroy = [...(blocks ?? [])] };
+    getDynamicProperty(id) { return this.dynamicProperties[id] };
+    getDynamicPropertyIds() { return Object.keys(this.dynamicProperties) };
+    setDynamicProperty(id, value) {
+        if (this.maxAmount > 1) throw new Error('Dynamic properties can only be set on unstackable items');
+        if (value === undefined) delete this.dynamicProperties[id];
+        else this.dynamicProperties[id] = value;
+    };
+    get maxAmount() { return maxAmounts[this.typeId] ?? 64 };
+    get isStackable() { return this.maxAmount > 1 };
+    getLore() { return [...this.lore] };
+    setLore(lore) { this.lore = [...(lore ?? [])] };
+    isStackableWith(other) {
+        return this.isStackable && other.typeId === this.typeId && other.nameTag === this.nameTag && JSON.stringify(other.lore) === JSON.stringify(this.lore)
+            && JSON.stringify([...other.enchantable.enchantments]) === JSON.stringify([...this.enchantable.enchantments]);
+    };
+    clone() {
+        const item = new ItemStack(this.typeId, this.amount);
+        item.nameTag = this.nameTag;
+        item.lore = [...this.lore];
+        item.enchantable.enchantments = new Map(this.enchantable.enchantments);
+        item.lockMode = this.lockMode;
+        item.keepOnDeath = this.keepOnDeath;
+        item.canPlaceOn = [...this.canPlaceOn];
+        item.canDestroy = [...this.canDestroy];
+        item.dynamicProperties = structuredClone(this.dynamicProperties);
+        if (this.components['minecraft:durability']) item.components['minecraft:durability'].damage = this.components['minecraft:durability'].damage;
+        return item;
+    };
+}
+
+export class BlockVolume {
+    constructor(from, to) {
+        this.from = from;
+        this.to = to;
+    }
+}
+
+export class EntityItemComponent {
+    static componentId = 'minecraft:item';
+    constructor(itemStack) { this.itemStack = itemStack };
+}
+
+export class Entity {
+    constructor(typeId, dimension, location) {
+        this.id = String(nextEntityId++);
+        this.typeId = typeId;
+        this.dimension = dimension;
+        this.location = { ...location };
+        this.isValid = true;
+        this.components = {};
+        this.dynamicProperties = new Map();
+    }
+    getComponent(id) { return this.components[id] };
+    getDynamicProperty(id) {
+        if (!this.isValid) throw new Error('Entity is not valid');
+        return this.dynamicProperties.get(id);
+    };
+    getDynamicPropertyIds() {
+        if (!this.isValid) throw new Error('Entity is not valid');
+        return [...this.dynamicProperties.keys()];
+    };
+    setDynamicProperty(id, value) {
+        if (!this.isValid) throw new Error('Entity is not valid');
+        if (world.readOnly) throw new Error('setDynamicProperty cannot be called in read-only mode');
+        if (value === undefined) return void this.dynamicProperties.delete(id);
+        if (typeof value == 'string' && value.length > 32767) throw new Error(`Dynamic property "${id}" is too long (${value.length})`);
+        this.dynamicProperties.set(id, value);
+    };
+    remove() {
+        if (!this.isValid) throw new Error('Entity is not valid');
+        this.isValid = false;
+        this.dimension.entities.delete(this);
+        world.afterEvents.entityRemove.fire({ removedEntityId: this.id, typeId: this.typeId });
+    };
+}
+let nextEntityId = 1;
+
+export class Container {
+    constructor(size) {
+        this.size = size;
+        this.slots = new Array(size).fill(undefined);
+    }
+    getItem(slot) { return this.slots[slot]?.clone() };
+    setItem(slot, item) { this.slots[slot] = item?.clone() };
+    clearAll() { this.slots.fill(undefined) };
+    addItem(item) {
+        let rest = item.amount;
+        for (const stack of this.slots) {
+            if (!stack || !stack.isStackableWith(item) || rest === 0) continue;
+            const moved = Math.min(stack.maxAmount - stack.amount, rest);
+            stack.amount += moved, rest -= moved;
+        }
+        for (let slot = 0; slot < this.size && rest > 0; slot++) {
+            if (this.slots[slot]) continue;
+            const stack = item.clone();
+            stack.amount = Math.min(item.maxAmount, rest);
+            this.slots[slot] = stack, rest -= stack.amount;
+        }
+        if (rest === 0) return undefined;
+        const leftover = item.clone();
+        leftover.amount = rest;
+        return leftover;
+    };
+}
+
+export class Player extends Entity {
+    constructor(name, dimension = world.getDimension('overworld'), location = { x: 0, y: 64, z: 0 }) {
+        super('minecraft:player', dimension, location);
+        this.name = name;
+        this.messages = [];
+        const equipment = {};
+        this.components['minecraft:inventory'] = { container: new Container(36) };
+        this.components['minecraft:equippable'] = {
+            getEquipment: slot => equipment[slot]?.clone(),
+            setEquipment: (slot, item) => { equipment[slot] = item?.clone() }
+        };
+    }
+    sendMessage(message) { this.messages.push(message) };
+}
+
+class Dimension {
+    constructor(id) {
+        this.id = id;
+        this.entities = new Set();
+        this.commands = [];
+        this.blocks = new Map();
+        /**
+         * Set to false to act as if every chunk of the dimension was unloaded
+         */
+        this.loaded = true;
+    }
+    runCommand(command) {
+        this.commands.push(command);
+        return { successCount: 1 };
+    };
+    checkLoaded() { if (!this.loaded) throw new Error('LocationInUnloadedChunkError: the chunk is not loaded') };
+    getBlock({ x, y, z }) {
+        if (!this.loaded) return undefined;
+        const key = `${Math.floor(x)},${Math.floor(y)},${Math.floor(z)}`, blocks = this.blocks;
+        return {
+            location: { x: Math.floor(x), y: Math.floor(y), z: Math.floor(z) },
+            get typeId() { return blocks.get(key) ?? 'minecraft:deepslate' },
+            setType(type) { blocks.set(key, type) }
+        };
+    };
+    fillBlocks({ from, to }, block) {
+        this.checkLoaded();
+        let count = 0;
+        for (let x = Math.min(from.x, to.x); x <= Math.max(from.x, to.x); x++)
+            for (let y = Math.min(from.y, to.y); y <= Math.max(from.y, to.y); y++)
+                for (let z = Math.min(from.z, to.z); z <= Math.max(from.z, to.z); z++) this.blocks.set(`${x},${y},${z}`, block), count++;
+        return { getCapacity: () => count };
+    };
+    spawnItem(itemStack, location) {
+        if (world.readOnly) throw new Error('spawnItem cannot be called in read-only mode');
+        this.checkLoaded();
+        const entity = new Entity('minecraft:item', this, location);
+        entity.components[EntityItemComponent.componentId] = new EntityItemComponent(itemStack.clone());
+        this.entities.add(entity);
+        return entity;
+    };
+    getEntities({ type, location, maxDistance, closest } = {}) {
+        if (!this.loaded) return [];
+        const distance = entity => Math.hypot(entity.location.x - location.x, entity.location.y - location.y, entity.location.z - location.z);
+        let entities = [...this.entities].filter(entity => (!type || entity.typeId === type) && (!location || maxDistance === undefined || distance(entity) <= maxDistance));
+        if (closest) entities = entities.sort((a, b) => distance(a) - distance(b)).slice(0, closest);
+        return entities;
+    };
+}
+
+class StructureManager {
+    constructor() { this.structures = new Map() };
+    get(id) { return this.structures.has(id) ? { id } : undefined };
+    delete(id) { return this.structures.delete(id) };
+    getWorldStructureIds() { return [...this.structures.keys()].filter(id => this.structures.get(id).saveMode === StructureSaveMode.World) };
+    createFromWorld(id, dimension, from, to, { includeEntities = true, saveMode = StructureSaveMode.World } = {}) {
+        if (this.structures.has(id)) throw new Error(`Structure "${id}" already exists`);
+        dimension.checkLoaded();
+        const min = { x: Math.min(from.x, to.x), y: Math.min(from.y, to.y), z: Math.min(from.z, to.z) },
+            max = { x: Math.max(from.x, to.x) + 1, y: Math.max(from.y, to.y) + 1, z: Math.max(from.z, to.z) + 1 },
+            inside = ({ x, y, z }) => x >= min.x && x < max.x && y >= min.y && y < max.y && z >= min.z && z < max.z;
+        const entities = includeEntities ? [...dimension.entities].filter(entity => entity.typeId === 'minecraft:item' && inside(entity.location)).map(entity => ({
+            offset: { x: entity.location.x - min.x, y: entity.location.y - min.y, z: entity.location.z - min.z },
+            itemStack: entity.getComponent(EntityItemComponent.componentId).itemStack.clone()
+        })) : [];
+        this.structures.set(id, { entities, saveMode });
+        return { id };
+    };
+    place(id, dimension, location, { includeEntities = true } = {}) {
+        const structure = this.structures.get(typeof id == 'string' ? id : id.id);
+        if (!structure) throw new Error(`Structure "${id}" does not exist`);
+        if (!includeEntities) return;
+        for (const { offset, itemStack } of structure.entities)
+            dimension.spawnItem(itemStack, { x: location.x + offset.x, y: location.y + offset.y, z: location.z + offset.z });
+    };
+}
+
+class EventSignal {
+    constructor() { this.callbacks = new Set() };
+    subscribe(callback) {
+        this.callbacks.add(callback);
+        return callback;
+    };
+    unsubscribe(callback) { this.callbacks.delete(callback) };
+    fire(event) { for (const callback of [...this.callbacks]) callback(event) };
+}
+
+class World {
+    constructor() {
+        this.dynamicProperties = new Map();
+        this.structureManager = new StructureManager();
+        this.dimensions = {};
+        this.afterEvents = { worldLoad: new EventSignal(), entityRemove: new EventSignal() };
+    }
+    getDimension(id) {
+        id = id.replace('minecraft:', '');
+        return this.dimensions[id] ??= new Dimension(id);
+    };
+    getDynamicProperty(id) { return this.dynamicProperties.get(id) };
+    getDynamicPropertyIds() { return [...this.dynamicProperties.keys()] };
+    setDynamicProperty(id, value) {
+        if (this.readOnly) throw new Error('setDynamicProperty cannot be called in read-only mode');
+        if (value === undefined) return void this.dynamicProperties.delete(id);
+        if (typeof value == 'string' && value.length > 32767) throw new Error(`Dynamic property "${id}" is too long (${value.length})`);
+        this.dynamicProperties.set(id, value);
+    };
+}
+
+class System {
+    constructor() {
+        this.currentTick = 0;
+        this.runs = new Map();
+        this.jobs = new Map();
+        this.nextId = 1;
+        this.beforeEvents = { startup: new EventSignal() };
+    }
+    run(callback) { return this.runTimeout(callback, 1) };
+    runTimeout(callback, ticks = 1) {
+        const id = this.nextId++;
+        this.runs.set(id, { callback, at: this.currentTick + Math.max(ticks, 1) });
+        return id;
+    };
+    runInterval(callback, ticks = 1) {
+        const id = this.nextId++;
+        this.runs.set(id, { callback, at: this.currentTick + Math.max(ticks, 1), every: Math.max(ticks, 1) });
+        return id;
+    };
+    clearRun(id) { this.runs.delete(id) };
+    runJob(generator) {
+        const id = this.nextId++;
+        this.jobs.set(id, generator);
+        return id;
+    };
+    clearJob(id) { this.jobs.delete(id) };
+}
+
+export class CustomCommandRegistry {
+    constructor() {
+        this.commands = new Map();
+        this.enums = new Map();
+    }
+    registerEnum(name, values) {
+        if (!name.includes(':')) throw new Error(`Enum "${name}" needs a namespace`);
+        this.enums.set(name, values);
+    };
+    registerCommand(command, callback) {
+        if (!command.name.includes(':')) throw new Error(`Command "${command.name}" needs a namespace`);
+        if (this.commands.has(command.name)) throw new Error(`Command "${command.name}" is already registered`);
+        for (const parameter of [...command.mandatoryParameters ?? [], ...command.optionalParameters ?? []])
+            if (parameter.type === CustomCommandParamType.Enum && !this.enums.has(parameter.name)) throw new Error(`Enum "${parameter.name}" is not registered`);
+        this.commands.set(command.name, { command, callback });
+    };
+    /**
+     * Runs a command the way the game does: checks the permission level and calls the callback in read-only mode.
+     * @param {string} name The name of the command, with its namespace
+     * @param {{ source?: Entity, permissionLevel?: number }} options The entity running the command, and its permission level
+     * @param {...any} args The parameters of the command
+     */
+    run(name, { source, permissionLevel = CommandPermissionLevel.Admin } = {}, ...args) {
+        const { command, callback } = this.commands.get(name) ?? {};
+        if (!command) throw new Error(`Unknown command "${name}"`);
+        if (permissionLevel < command.permissionLevel) return { status: CustomCommandStatus.Failure, message: 'You do not have permission to use this command' };
+        const origin = { sourceEntity: source, sourceType: source ? CustomCommandSource.Entity : CustomCommandSource.Server };
+        world.readOnly = true;
+        try {
+            return callback(origin, ...args);
+        } finally {
+            world.readOnly = false;
+        }
+    };
+}
+
+export let world = new World();
+export let system = new System();
+
+/**
+ * Advances the fake clock, running due timeouts, intervals and one step of every job per tick.
+ * @param {number} count The number of ticks to run
+ */
+export function tick(count = 1) {
+    for (let i = 0; i < count; i++) {
+        system.currentTick++;
+        for (const [id, run] of [...system.runs]) {
+            if (run.at > system.currentTick || !system.runs.has(id)) continue;
+            if (run.every) run.at += run.every;
+            else system.runs.delete(id);
+            run.callback();
+        }
+        for (const [id, job] of [...system.jobs])
+            if (job.next().done) system.jobs.delete(id);
+    }
+}
+
+/**
+ * Simulates a server restart: keeps dynamic properties and world structures, drops everything else.
+ */
+export function restart() {
+    const { dynamicProperties, structureManager } = world;
+    for (const id of [...structureManager.structures.keys()])
+        if (structureManager.structures.get(id).saveMode !== StructureSaveMode.World) structureManager.structures.delete(id);
+    world = new World();
+    world.dynamicProperties = dynamicProperties;
+    world.structureManager = structureManager;
+    system = new System();
+}
+
+/**
+ * Wipes the whole world, as if a new one was created.
+ */
+export function reset() {
+    world = new World();
+    system = new System();
+}
+
+/**
+ * Fires system.beforeEvents.startup with a new command registry.
+ * @returns {CustomCommandRegistry} The registry the commands were registered in
+ */
+export function startup() {
+    const customCommandRegistry = new CustomCommandRegistry();
+    system.beforeEvents.startup.fire({ customCommandRegistry });
+    return customCommandRegistry;
+}
+
+/**
+ * Fires world.afterEvents.worldLoad.
+ */
+export function load() { world.afterEvents.worldLoad.fire({}) }
@@ -1,5 +1,6 @@
-import { Player, world, ItemStack } from "@minecraft/server";
-import ItemManager from "../ItemDatabase";
+import { Player, world, system, ItemStack } from "@minecraft/server";
+import ItemManager from "../ItemDatabase.js";
+import "../DBCommands.js";
 
 /**
  * 
@@ -8,19 +9,19 @@ import ItemManager from "../ItemDatabase";
  * @type {ItemManager}
  */
 let IManager;
-world.afterEvents.worldInitialize.subscribe(() => system.runTimeout(() => IManager = new ItemManager('myTable'), 200));
+world.afterEvents.worldLoad.subscribe(() => system.runTimeout(() => IManager = new ItemManager('myTable'), 200));
 
 world.afterEvents.itemUse.subscribe(({ source: player, itemStack: item }) => {
     if (!(player instanceof Player)) return;
-    if (!item || item.type !== 'minecraft:apple') return;
+    if (!item || item.typeId !== 'minecraft:apple') return;
     const start = Date.now();
-    IManager.save('myItem', new ItemStack('minecraft:apple', 64));
-    console.warn('Time to fully save an Item: ' + (Date.now() - start) + 'ms');
+    IManager.set('myItem', new ItemStack('minecraft:apple', 64))
+        .then(() => console.warn('Time to fully save an Item: ' + (Date.now() - start) + 'ms'));
 })
 
-world.afterEvents.itemUse.subscribe(({ source: player }) => {
+world.afterEvents.itemUse.subscribe(({ source: player, itemStack }) => {
     if (!(player instanceof Player)) return;
-    if (!item || item.type !== 'minecraft:stick') return;
+    if (!itemStack || itemStack.typeId !== 'minecraft:stick') return;
     const item = IManager.get('myItem'), inv = player.getComponent('minecraft:inventory').container;
     inv.addItem(item);
     IManager.delete('myItem');
@@ -0,0 +1,38 @@
+/**
+ * Keeps the change listeners of every table, so that all the database instances
+ * of a table share them.
+ */
+export class ChangeEmitter {
+    constructor() {
+        this.listeners = new Map();
+    }
+    subscribe(table, key, callback) {
+        if (typeof callback != "function") throw new TypeError("The change callback must be a function.");
+        if (!this.listeners.has(table)) this.listeners.set(table, []);
+        this.listeners.get(table).push({ key: String(key), callback });
+        return callback;
+    }
+    unsubscribe(table, callback) {
+        const listeners = this.listeners.get(table);
+        if (!listeners) return false;
+        const remaining = listeners.filter(listener => listener.callback !== callback);
+        this.listeners.set(table, remaining);
+        return remaining.length !== listeners.length;
+    }
+    clear(table) {
+        return this.listeners.delete(table);
+    }
+    emit(table, event) {
+        const listeners = this.listeners.get(table);
+        if (!listeners?.length) return;
+        for (const { key, callback } of [...listeners]) {
+            if (key !== '*' && key !== String(event.key)) continue;
+            try {
+                callback(event);
+            }
+            catch (e) {
+                console.warn(e + e.stack);
+            }
+        }
+    }
+}
@@ -0,0 +1,65 @@
+/**
+ * Tagged JSON encoding that keeps the values plain JSON loses (Map, Set, Date, BigInt and Vector).
+ * Tagged values are written as `{ "$t": name, "v": data }`; anything without a tag decodes as plain JSON.
+ */
+import { Vector } from "./Vector.js";
+
+const TAG = "$t";
+const builtins = new Map([
+    ["Map", { type: Map, encode: value => [...value], decode: value => new Map(value) }],
+    ["Set", { type: Set, encode: value => [...value], decode: value => new Set(value) }],
+    ["Date", { type: Date, encode: value => value.getTime(), decode: value => new Date(value ?? NaN) }],
+    ["BigInt", { test: value => typeof value == "bigint", encode: String, decode: BigInt }],
+    ["Vector", { type: Vector, encode: value => [value.x, value.y, value.z], decode: ([x, y, z]) => Vector(x, y, z) }]
+]);
+const codecs = new Map();
+
+const matches = (codec, value) => codec.type ? value instanceof codec.type : codec.test(value);
+function find(value) {
+    for (const map of [codecs, builtins])
+        for (const entry of map) if (matches(entry[1], value)) return entry;
+}
+
+export function registerCodec(name, codec) {
+    if (typeof name != "string" || !name) throw new TypeError("The codec name must be a non-empty string.");
+    if (name === "Object" || builtins.has(name)) throw new Error(`The codec name ${name} is reserved.`);
+    if (typeof codec?.encode != "function" || typeof codec?.decode != "function") throw new TypeError(`The codec ${name} needs encode and decode functions.`);
+    if (typeof codec.type != "function" && typeof codec.test != "function") throw new TypeError(`The codec ${name} needs a type or a test function.`);
+    codecs.set(name, codec);
+}
+
+export function unregisterCodec(name) {
+    return codecs.delete(name);
+}
+
+export function encode(value) {
+    if (typeof value == "bigint" || typeof value == "object" && value !== null) {
+        const [name, codec] = find(value) ?? [];
+        if (codec) return { [TAG]: name, v: encode(codec.encode(value)) };
+    }
+    if (typeof value != "object" || value === null) return value;
+    if (typeof value.toJSON == "function") return encode(value.toJSON());
+    if (Array.isArray(value)) return value.map(encode);
+    const data = {};
+    for (const key of Object.keys(value)) data[key] = encode(value[key]);
+    return Object.hasOwn(value, TAG) ? { [TAG]: "Object", v: data } : data;
+}
+
+export function decode(value) {
+    if (typeof value != "object" || value === null) return value;
+    if (Array.isArray(value)) return value.map(decode);
+    const name = value[TAG];
+    if (typeof name == "string" && "v" in value) {
+        if (name === "Object") return decodeEntries(value.v);
+        const codec = codecs.get(name) ?? builtins.get(name);
+        if (codec) return codec.decode(decode(value.v));
+        console.warn(`[DATABASE]: No codec registered for ${name}, the value was loaded as is.`);
+    }
+    return decodeEntries(value);
+}
+
+function decodeEntries(value) {
+    const data = {};
+    for (const key of Object.keys(value)) data[key] = decode(value[key]);
+    return data;
+}
@@ -0,0 +1,92 @@
+/**
+ * LZ based string compression (the lz-string algorithm), written as base64 characters
+ * so that the result stays plain ASCII in dynamic properties.
+ */
+const alphabet = "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/";
+const alphabetIndex = Object.fromEntries([...alphabet].map((c, i) => [c, i]));
+const bitsPerChar = 6;
+
+export function compress(input) {
+    if (!input) return "";
+    const dictionary = new Map(), toCreate = new Set(), output = [];
+    let w = "", enlargeIn = 2, dictSize = 3, numBits = 2, buffer = 0, position = 0;
+    const writeBits = (value, count) => {
+        for (let i = 0; i < count; i++) {
+            buffer = (buffer << 1) | (value & 1);
+            value >>= 1;
+            if (position === bitsPerChar - 1) {
+                output.push(alphabet[buffer]);
+                buffer = 0, position = 0;
+            } else position++;
+        }
+    };
+    const grow = () => {
+        if (--enlargeIn === 0) enlargeIn = 2 ** numBits, numBits++;
+    };
+    const writeWord = word => {
+        if (toCreate.has(word)) {
+            const code = word.charCodeAt(0);
+            if (code < 256) writeBits(0, numBits), writeBits(code, 8);
+            else writeBits(1, numBits), writeBits(code, 16);
+            grow();
+            toCreate.delete(word);
+        } else writeBits(dictionary.get(word), numBits);
+        grow();
+    };
+    for (const c of input.split("")) {
+        if (!dictionary.has(c)) dictionary.set(c, dictSize++), toCreate.add(c);
+        const wc = w + c;
+        if (dictionary.has(wc)) {
+            w = wc;
+            continue;
+        }
+        writeWord(w);
+        dictionary.set(wc, dictSize++);
+        w = c;
+    }
+    if (w !== "") writeWord(w);
+    writeBits(2, numBits);
+    while (position !== 0) writeBits(0, 1);
+    return output.join("");
+}
+
+export function decompress(input) {
+    if (!input) return "";
+    const dictionary = [0, 1, 2], result = [];
+    let value = alphabetIndex[input[0]], position = 1 << (bitsPerChar - 1), index = 1, enlargeIn = 4, dictSize = 4, numBits = 3;
+    const readBits = count => {
+        let bits = 0;
+        for (let power = 1; power < 2 ** count; power <<= 1) {
+            if (value & position) bits |= power;
+            position >>= 1;
+            if (position === 0) {
+                position = 1 << (bitsPerChar - 1);
+                value = alphabetIndex[input[index++]];
+            }
+        }
+        return bits;
+    };
+    const first = readBits(2);
+    if (first === 2) return "";
+    let w = String.fromCharCode(readBits(first === 0 ? 8 : 16));
+    dictionary[3] = w;
+    result.push(w);
+    while (true) {
+        if (index > input.length) throw new Error("Compressed data ended unexpectedly.");
+        let code = readBits(numBits);
+        if (code === 2) return result.join("");
+        if (code === 0 || code === 1) {
+            dictionary[dictSize] = String.fromCharCode(readBits(code === 0 ? 8 : 16));
+            code = dictSize++;
+            if (--enlargeIn === 0) enlargeIn = 2 ** numBits, numBits++;
+        }
+        let entry;
+        if (typeof dictionary[code] == "string") entry = dictionary[code];
+        else if (code === dictSize) entry = w + w[0];
+        else throw new Error("Compressed data is corrupted.");
+        result.push(entry);
+        dictionary[dictSize++] = w + entry[0];
+        w = entry;
+        if (--enlargeIn === 0) enlargeIn = 2 ** numBits, numBits++;
+    }
+}
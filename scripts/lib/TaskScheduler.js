@@ -0,0 +1,35 @@
+import { system } from "@minecraft/server";
+
+/**
+ * Runs queued tasks one after another inside a `system.runJob`, so that the game
+ * spreads them over as many ticks as needed instead of running them all at once.
+ */
+export class TaskScheduler {
+    constructor() {
+        this.queue = [];
+        this.jobId = undefined;
+    }
+    get pending() { return this.queue.length };
+    get processing() { return this.jobId !== undefined };
+    enqueue(callback) {
+        return new Promise((resolve, reject) => {
+            this.queue.push({ callback, resolve, reject });
+            if (this.jobId === undefined) this.jobId = system.runJob(this.process());
+        });
+    }
+    *process() {
+        try {
+            while (this.queue.length > 0) {
+                const { callback, resolve, reject } = this.queue.shift();
+                try {
+                    resolve(callback());
+                } catch (e) {
+                    reject(e);
+                }
+                yield;
+            }
+        } finally {
+            this.jobId = undefined;
+        }
+    }
+}